@@ -0,0 +1,478 @@
+// Apache Arrow IPC stream of a result set: a schema message, record batches of batchSize rows, and the end-of-stream marker
+// see https://arrow.apache.org/docs/format/Columnar.html#serialization-and-interprocess-communication-ipc
+// the flatbuffers of the messages are written by the small FlatBuilder below, only the tables used here are supported
+
+var stream = require('stream'),
+	_ = require('underscore'),
+	dateFormat = require('./dateFormat.js'),
+	numberFormat = require('./numberFormat.js');
+
+var hdbTypes = require('hdb/lib/protocol/common/TypeCode'),
+	hdbTypeCodes = _.invert(hdbTypes);
+
+var DEFAULTS = {
+	batchSize: 10000	// rows per record batch
+};
+
+var METADATA_VERSION = 4,	// V5
+	CONTINUATION = 0xffffffff,
+	MESSAGE_HEADER = {schema: 1, recordBatch: 3},
+	TYPE = {int: 2, floatingPoint: 3, binary: 4, utf8: 5, bool: 6, decimal: 7, date: 8, time: 9, timestamp: 10},
+	PRECISION = {single: 1, double: 2},
+	DATE_UNIT_DAY = 0,
+	TIME_UNIT = {millisecond: 1, microsecond: 2};
+
+var COLUMN_MANDATORY = 1,	// not nullable flag of the column mode, see ParameterMode of hdb
+	MAX_DECIMAL_PRECISION = 38,
+	MAX_DECIMAL_SCALE = 38,	// the fraction of the floating DECIMAL columns is larger (32767)
+	DAY_MILLIS = 86400000;
+
+// Arrow types of the hdb types, the other types (e.g. NVARCHAR, NCLOB, ALPHANUM) are written as utf8
+var FIELD_TYPES = {
+	TINYINT: {type: TYPE.int, bitWidth: 8, signed: false},
+	SMALLINT: {type: TYPE.int, bitWidth: 16, signed: true},
+	INT: {type: TYPE.int, bitWidth: 32, signed: true},
+	BIGINT: {type: TYPE.int, bitWidth: 64, signed: true},
+	REAL: {type: TYPE.floatingPoint, precision: PRECISION.single},
+	DOUBLE: {type: TYPE.floatingPoint, precision: PRECISION.double},
+	DECIMAL: {type: TYPE.decimal},
+	BOOLEAN: {type: TYPE.bool},
+	DATE: {type: TYPE.date},
+	DAYDATE: {type: TYPE.date},
+	TIME: {type: TYPE.time},
+	SECONDTIME: {type: TYPE.time},
+	TIMESTAMP: {type: TYPE.timestamp},
+	SECONDDATE: {type: TYPE.timestamp},
+	LONGDATE: {type: TYPE.timestamp},
+	BINARY: {type: TYPE.binary},
+	VARBINARY: {type: TYPE.binary},
+	BLOB: {type: TYPE.binary},
+	BLOB_DISK: {type: TYPE.binary}
+};
+
+// returns the options with defaults, or an error if they are invalid
+function normalize(options) {
+	options = _.defaults(_.pick(options || {}, _.keys(DEFAULTS)), DEFAULTS);
+
+	if (!_.isNumber(options.batchSize) || options.batchSize < 1 || Math.floor(options.batchSize) !== options.batchSize)
+		return invalid('invalid batchSize: ' + options.batchSize);
+
+	return options;
+}
+
+function invalid(message) {
+	var err = new Error(message);
+	err.code = 'EHDBPOOLPARAMS';
+	return err;
+}
+
+// Transform stream of rows (or arrays of rows) into the bytes of the IPC stream
+// options: {batchSize}, see DEFAULTS; options are normalized by normalize()
+function createArrowStringifier(metadata, options) {
+	var fields = _.map(metadata, describeField),
+		names = _.pluck(metadata, 'columnDisplayName'),
+		rows = [],
+		started = false;
+
+	var stringifier = new stream.Transform({writableObjectMode: true});
+
+	function start() {
+		started = true;
+		stringifier.push(schemaMessage(fields));
+	}
+
+	function flushBatch() {
+		stringifier.push(recordBatchMessage(fields, names, rows));
+		rows = [];
+	}
+
+	stringifier._transform = function _transform(chunk, encoding, done) {
+		if (!started) start();
+
+		_.each(_.isArray(chunk) ? chunk : [chunk], function(row) {
+			rows.push(row);
+			if (rows.length >= options.batchSize) flushBatch();
+		});
+		done();
+	};
+
+	stringifier._flush = function _flush(done) {
+		if (!started) start();
+		if (rows.length) flushBatch();
+
+		var eos = Buffer.alloc(8);	// continuation marker and 0 length
+		eos.writeUInt32LE(CONTINUATION, 0);
+		this.push(eos);
+		done();
+	};
+
+	return stringifier;
+}
+
+// Arrow field of a column: {name, nullable, type, ..., encode(values) -> {nullCount, buffers}}
+function describeField(column) {
+	var typeName = hdbTypeCodes[column.dataType+''],
+		field = _.extend({name: column.columnDisplayName, nullable: !(column.mode & COLUMN_MANDATORY)}, FIELD_TYPES[typeName] || {type: TYPE.utf8});
+
+	if (field.type === TYPE.decimal) {
+		if (column.fraction >= 0 && column.fraction <= MAX_DECIMAL_SCALE) {
+			field.scale = column.fraction;
+			field.precision = column.length > 0 && column.length <= MAX_DECIMAL_PRECISION ? Math.max(column.length, field.scale) : MAX_DECIMAL_PRECISION;
+		} else {
+			field.type = TYPE.utf8;	// floating DECIMAL and SMALLDECIMAL have no fixed scale, they are written as text to keep their precision
+		}
+	}
+
+	field.encode = createEncoder(field, typeName);
+	return field;
+}
+
+// encoder of the values of a field into the Arrow buffers: validity bitmap and values (and offsets for variable sized values)
+function createEncoder(field, typeName) {
+	switch (field.type) {
+	case TYPE.int:
+		if (field.bitWidth === 64)
+			return fixedWidth(8, function(buffer, offset, v) { buffer.writeBigInt64LE(BigInt(String(v)), offset); });
+		return fixedWidth(field.bitWidth / 8, {
+			8: function(buffer, offset, v) { buffer.writeUInt8(v, offset); },
+			16: function(buffer, offset, v) { buffer.writeInt16LE(v, offset); },
+			32: function(buffer, offset, v) { buffer.writeInt32LE(v, offset); }
+		}[field.bitWidth]);
+	case TYPE.floatingPoint:
+		return fixedWidth(field.precision === PRECISION.single ? 4 : 8, field.precision === PRECISION.single ?
+			function(buffer, offset, v) { buffer.writeFloatLE(v, offset); } :
+			function(buffer, offset, v) { buffer.writeDoubleLE(v, offset); });
+	case TYPE.decimal:
+		return fixedWidth(16, function(buffer, offset, v) {
+			writeInt128(buffer, offset, BigInt(numberFormat.unscaled(v, field.scale)));
+		});
+	case TYPE.bool:
+		return function(values) {
+			var bitmap = Buffer.alloc(Math.ceil(values.length / 8));
+			_.each(values, function(v, i) {
+				if (v) bitmap[i >> 3] |= 1 << (i & 7);
+			});
+			return {nullCount: countNulls(values), buffers: [validityBitmap(values), bitmap]};
+		};
+	case TYPE.date:
+		return fixedWidth(4, function(buffer, offset, v) {
+			buffer.writeInt32LE(Math.floor(dateFormat.parse(typeName, v).millis / DAY_MILLIS), offset);	// days since 1970-01-01
+		});
+	case TYPE.time:
+		return fixedWidth(4, function(buffer, offset, v) {
+			var value = dateFormat.parse(typeName, v);
+			buffer.writeInt32LE(value.millis + +(value.fraction + '000').substring(0, 3), offset);	// milliseconds since midnight
+		});
+	case TYPE.timestamp:
+		return fixedWidth(8, function(buffer, offset, v) {
+			var value = dateFormat.parse(typeName, v);	// microseconds since 1970-01-01, beyond the precision of a double
+			buffer.writeBigInt64LE(BigInt(value.millis / 1000) * BigInt(1000000) + BigInt((value.fraction + '000000').substring(0, 6)), offset);
+		});
+	case TYPE.binary:
+		return variableWidth(function(v) { return Buffer.isBuffer(v) ? v : Buffer.from(String(v), 'utf8'); });
+	default:
+		return variableWidth(function(v) { return Buffer.from(Buffer.isBuffer(v) ? v.toString('hex') : String(v), 'utf8'); });
+	}
+}
+
+function fixedWidth(byteWidth, write) {
+	return function(values) {
+		var data = Buffer.alloc(values.length * byteWidth);
+		_.each(values, function(v, i) {
+			if (v !== null && !_.isUndefined(v)) write(data, i * byteWidth, v);
+		});
+		return {nullCount: countNulls(values), buffers: [validityBitmap(values), data]};
+	};
+}
+
+function variableWidth(toBuffer) {
+	return function(values) {
+		var offsets = Buffer.alloc((values.length + 1) * 4),
+			chunks = [],
+			length = 0;
+
+		_.each(values, function(v, i) {
+			if (v !== null && !_.isUndefined(v)) {
+				var chunk = toBuffer(v);
+				chunks.push(chunk);
+				length += chunk.length;
+			}
+			offsets.writeInt32LE(length, (i + 1) * 4);
+		});
+		return {nullCount: countNulls(values), buffers: [validityBitmap(values), offsets, Buffer.concat(chunks, length)]};
+	};
+}
+
+// the bitmap may be omitted if there is no null value
+function validityBitmap(values) {
+	if (!countNulls(values)) return Buffer.alloc(0);
+
+	var bitmap = Buffer.alloc(Math.ceil(values.length / 8));
+	_.each(values, function(v, i) {
+		if (v !== null && !_.isUndefined(v)) bitmap[i >> 3] |= 1 << (i & 7);
+	});
+	return bitmap;
+}
+
+function countNulls(values) {
+	var count = 0;
+	for (var i = 0; i < values.length; i++)
+		if (values[i] === null || _.isUndefined(values[i])) count++;
+	return count;
+}
+
+// two's complement little-endian 128 bit integer
+function writeInt128(buffer, offset, v) {
+	buffer.writeBigUInt64LE(BigInt.asUintN(64, v), offset);
+	buffer.writeBigInt64LE(BigInt.asIntN(64, v >> BigInt(64)), offset + 8);
+}
+
+function schemaMessage(fields) {
+	return message(MESSAGE_HEADER.schema, function(b) {
+		return b.table([
+			{type: 'i16', value: 0},	// endianness: little
+			{type: 'offset', write: function(b) { return b.tables(fields, writeField); }}
+		]);
+	}, []);
+}
+
+function writeField(b, field) {
+	return b.table([
+		{type: 'offset', write: function(b) { return b.string(field.name); }},
+		{type: 'bool', value: field.nullable},
+		{type: 'u8', value: field.type},
+		{type: 'offset', write: function(b) { return writeType(b, field); }},
+		null,	// dictionary
+		{type: 'offset', write: function(b) { return b.tables([], writeField); }}	// children, required by some readers even if empty
+	]);
+}
+
+function writeType(b, field) {
+	switch (field.type) {
+	case TYPE.int:
+		return b.table([{type: 'i32', value: field.bitWidth}, {type: 'bool', value: field.signed}]);
+	case TYPE.floatingPoint:
+		return b.table([{type: 'i16', value: field.precision}]);
+	case TYPE.decimal:
+		return b.table([{type: 'i32', value: field.precision}, {type: 'i32', value: field.scale}, {type: 'i32', value: 128}]);
+	case TYPE.date:
+		return b.table([{type: 'i16', value: DATE_UNIT_DAY}]);
+	case TYPE.time:
+		return b.table([{type: 'i16', value: TIME_UNIT.millisecond}, {type: 'i32', value: 32}]);
+	case TYPE.timestamp:
+		return b.table([{type: 'i16', value: TIME_UNIT.microsecond}, {type: 'offset', write: function(b) { return b.string('UTC'); }}]);
+	default:	// utf8, binary and bool have no properties
+		return b.table([]);
+	}
+}
+
+function recordBatchMessage(fields, names, rows) {
+	var nodes = [],
+		buffers = [],	// [offset, length] in the body
+		body = [],
+		bodyLength = 0;
+
+	_.each(fields, function(field, i) {
+		var values = _.pluck(rows, names[i]),
+			encoded = field.encode(values);
+
+		nodes.push([values.length, encoded.nullCount]);
+		_.each(encoded.buffers, function(buffer) {
+			buffers.push([bodyLength, buffer.length]);
+			body.push(buffer, padding(buffer.length));
+			bodyLength += buffer.length + padding(buffer.length).length;
+		});
+	});
+
+	return message(MESSAGE_HEADER.recordBatch, function(b) {
+		return b.table([
+			{type: 'i64', value: rows.length},
+			{type: 'offset', write: function(b) { return b.structs(nodes); }},
+			{type: 'offset', write: function(b) { return b.structs(buffers); }}
+		]);
+	}, body, bodyLength);
+}
+
+// encapsulated message: continuation marker, metadata length, Message flatbuffer, body
+function message(headerType, writeHeader, body, bodyLength) {
+	var b = new FlatBuilder();
+
+	b.root(function(b) {
+		return b.table([
+			{type: 'i16', value: METADATA_VERSION},
+			{type: 'u8', value: headerType},
+			{type: 'offset', write: writeHeader},
+			{type: 'i64', value: bodyLength || 0}
+		]);
+	});
+
+	var metadata = b.finish(),
+		prefix = Buffer.alloc(8);
+
+	prefix.writeUInt32LE(CONTINUATION, 0);
+	prefix.writeInt32LE(metadata.length, 4);
+
+	return Buffer.concat([prefix, metadata].concat(body));
+}
+
+function padding(length) {
+	return Buffer.alloc((8 - length % 8) % 8);
+}
+
+// flatbuffer written front to back: every table is preceded by its vtable, and followed by the objects it refers to,
+// so the unsigned offsets always point forward
+function FlatBuilder() {
+	this.buffer = Buffer.alloc(256);
+	this.pos = 0;
+}
+
+var SCALAR_SIZES = {bool: 1, u8: 1, i16: 2, i32: 4, offset: 4, i64: 8};
+
+FlatBuilder.prototype.reserve = function reserve(size) {
+	if (this.pos + size <= this.buffer.length) return;
+
+	var buffer = Buffer.alloc(Math.max(this.buffer.length * 2, this.pos + size));
+	this.buffer.copy(buffer);
+	this.buffer = buffer;
+};
+
+FlatBuilder.prototype.align = function align(alignment, extra) {
+	var size = (alignment - (this.pos + (extra || 0)) % alignment) % alignment;
+	this.reserve(size);
+	this.pos += size;	// the buffer is zero-filled
+};
+
+// fields: array indexed by the field id, each field is null (absent) or {type, value} or {type: 'offset', write(builder) -> position}
+FlatBuilder.prototype.table = function table(fields) {
+	var me = this,
+		layout = [],	// offsets of the fields in the table
+		size = 4,	// soffset to the vtable
+		maxAlignment = 4;
+
+	// larger scalars first, so they are aligned without padding
+	_.each(_.sortBy(_.range(fields.length), function(id) { return fields[id] ? -SCALAR_SIZES[fields[id].type] : 0; }), function(id) {
+		if (!fields[id]) return;
+
+		var fieldSize = SCALAR_SIZES[fields[id].type];
+		size += (fieldSize - size % fieldSize) % fieldSize;
+		layout[id] = size;
+		size += fieldSize;
+		maxAlignment = Math.max(maxAlignment, fieldSize);
+	});
+	size += (maxAlignment - size % maxAlignment) % maxAlignment;
+
+	// vtable: its size, the table size, and the offsets of the fields (0 if absent)
+	this.align(2);
+	var vtable = this.pos;
+	this.reserve(4 + fields.length * 2);
+	this.buffer.writeUInt16LE(4 + fields.length * 2, this.pos);
+	this.buffer.writeUInt16LE(size, this.pos + 2);
+	_.each(fields, function(field, id) {
+		me.buffer.writeUInt16LE(field ? layout[id] : 0, me.pos + 4 + id * 2);
+	});
+	this.pos += 4 + fields.length * 2;
+
+	this.align(maxAlignment);
+	var start = this.pos;
+	this.reserve(size);
+	this.buffer.writeInt32LE(start - vtable, start);
+	this.pos += size;
+
+	_.each(fields, function(field, id) {
+		if (!field) return;
+
+		var at = start + layout[id];
+		switch (field.type) {
+		case 'bool':
+		case 'u8':
+			me.buffer.writeUInt8(+field.value, at);
+			break;
+		case 'i16':
+			me.buffer.writeInt16LE(field.value, at);
+			break;
+		case 'i32':
+			me.buffer.writeInt32LE(field.value, at);
+			break;
+		case 'i64':
+			me.buffer.writeBigInt64LE(BigInt(field.value), at);
+			break;
+		}
+	});
+
+	// the referred objects follow the table
+	_.each(fields, function(field, id) {
+		if (field && field.type === 'offset')
+			me.patch(start + layout[id], field.write(me));
+	});
+
+	return start;
+};
+
+// vector of tables, write(builder, item) -> position
+FlatBuilder.prototype.tables = function tables(items, write) {
+	var me = this;
+
+	this.align(4);
+	var start = this.pos;
+	this.reserve(4 + items.length * 4);
+	this.buffer.writeUInt32LE(items.length, start);
+	this.pos += 4 + items.length * 4;
+
+	_.each(items, function(item, i) {
+		me.patch(start + 4 + i * 4, write(me, item));
+	});
+
+	return start;
+};
+
+// vector of structs of two longs (FieldNode and Buffer of the record batches)
+FlatBuilder.prototype.structs = function structs(items) {
+	var me = this;
+
+	this.align(8, 4);	// the elements after the length are aligned to 8
+	var start = this.pos;
+	this.reserve(4 + items.length * 16);
+	this.buffer.writeUInt32LE(items.length, start);
+	_.each(items, function(item, i) {
+		me.buffer.writeBigInt64LE(BigInt(item[0]), start + 4 + i * 16);
+		me.buffer.writeBigInt64LE(BigInt(item[1]), start + 12 + i * 16);
+	});
+	this.pos += 4 + items.length * 16;
+
+	return start;
+};
+
+FlatBuilder.prototype.string = function string(s) {
+	var bytes = Buffer.from(s, 'utf8');
+
+	this.align(4);
+	var start = this.pos;
+	this.reserve(4 + bytes.length + 1);
+	this.buffer.writeUInt32LE(bytes.length, start);
+	bytes.copy(this.buffer, start + 4);
+	this.pos += 4 + bytes.length + 1;	// null terminated
+
+	return start;
+};
+
+// the root offset is at the beginning of the buffer
+FlatBuilder.prototype.root = function root(write) {
+	this.reserve(4);
+	this.pos = 4;
+	this.patch(0, write(this));
+};
+
+// uoffset from the position at to the target
+FlatBuilder.prototype.patch = function patch(at, target) {
+	this.buffer.writeUInt32LE(target - at, at);
+};
+
+// the flatbuffer padded to 8 bytes, the alignment of the message body
+FlatBuilder.prototype.finish = function finish() {
+	this.align(8);
+	return this.buffer.slice(0, this.pos);
+};
+
+exports.DEFAULTS = DEFAULTS;
+exports.normalize = normalize;
+exports.createArrowStringifier = createArrowStringifier;
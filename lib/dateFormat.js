@@ -0,0 +1,178 @@
+// rendering of the date and time values of hdb in the stringifiers
+// hdb returns DAYDATE, SECONDTIME, SECONDDATE and LONGDATE as numbers (LONGDATE as a string if it is too large),
+// and DATE, TIME and TIMESTAMP as strings, e.g. '2016-11-02T10:12:01.512'; all of them are regarded as UTC
+
+var moment = require('moment'),
+	_ = require('underscore'),
+	calendar = require('hdb/lib/util').calendar;
+
+var DEFAULTS = {
+	dateFormat: 'YYYY-MM-DD',
+	timeFormat: 'HH:mm:ss',
+	timestampFormat: 'YYYY-MM-DDTHH:mm:ss',	// ISO 8601 less tz
+	timezone: 'UTC',	// output timezone of the timestamps, e.g. 'Europe/Berlin' or '+01:00'
+	fractionalDigits: 0,	// digits of the fractional seconds added to the default time and timestamp formats, max 7
+	epochMillis: false	// if true, milliseconds since 1970-01-01 (since midnight for times) instead of formatted strings
+};
+
+// kind of the values of the hdb types
+var KINDS = {
+	DATE: 'date',
+	DAYDATE: 'date',
+	TIME: 'time',
+	SECONDTIME: 'time',
+	TIMESTAMP: 'timestamp',
+	TIMESTAMP_TZ: 'timestamp',
+	SECONDDATE: 'timestamp',
+	LONGDATE: 'timestamp'
+};
+
+var DAY_MILLIS = 86400000;
+var MAX_FRACTIONAL_DIGITS = 7;	// LONGDATE has a precision of 100 ns
+
+// HANA counts the days from 0001-01-01 (day 1), in the Julian calendar before 1582-10-15
+var UNIX_EPOCH_DAYDATE = calendar.DAYDATE('1970-01-01'),
+	GREGORIAN_DAYDATE = calendar.DAYDATE('1582-10-15');
+
+var DATETIME_REGEXP = /^(\d{4})-(\d\d)-(\d\d)(?:T(\d\d):(\d\d):(\d\d)(?:\.(\d+))?)?$/,
+	TIME_REGEXP = /^(\d\d):(\d\d):(\d\d)(?:\.(\d+))?$/,
+	OFFSET_REGEXP = /^([+-])(\d\d):?(\d\d)$/;
+
+var zoneFormats = {};	// Intl.DateTimeFormat per timezone
+
+// returns the options with defaults, or an error if they are invalid
+function normalize(options) {
+	options = _.defaults(_.pick(options || {}, _.keys(DEFAULTS)), DEFAULTS);
+
+	if (!_.isNumber(options.fractionalDigits) || options.fractionalDigits < 0 || options.fractionalDigits > MAX_FRACTIONAL_DIGITS)
+		return invalid('invalid fractionalDigits: ' + options.fractionalDigits);
+
+	try {
+		zoneOffset(options.timezone, 0);
+	} catch (e) {
+		return invalid('invalid timezone: ' + options.timezone);
+	}
+
+	return options;
+}
+
+function invalid(message) {
+	var err = new Error(message);
+	err.code = 'EHDBPOOLPARAMS';
+	return err;
+}
+
+// returns the formatter of the non-null values of an hdb type, or null if the type is not a date or time type
+// options are normalized by normalize()
+function createFormatter(typeName, options) {
+	var kind = KINDS[typeName];
+	if (!kind) return null;
+
+	var fraction = options.fractionalDigits ? '.' + repeat('S', options.fractionalDigits) : '',
+		format = {
+			date: options.dateFormat,
+			time: options.timeFormat === DEFAULTS.timeFormat ? options.timeFormat + fraction : options.timeFormat,
+			timestamp: options.timestampFormat === DEFAULTS.timestampFormat ? options.timestampFormat + fraction : options.timestampFormat
+		}[kind],
+		utc = kind !== 'timestamp' || options.timezone === 'UTC';	// dates and times are not converted into the output timezone
+
+	return function formatDate(v) {
+		var value = parse(typeName, v);
+		if (!value) return v;	// unknown representation, left as it is
+
+		if (options.epochMillis)
+			return value.millis + +(value.fraction + '000').substring(0, 3);
+
+		var m = moment.utc(value.millis);
+		if (!utc)
+			m.utcOffset(zoneOffset(options.timezone, value.millis));
+
+		return m.format(insertFraction(format, value.fraction));
+	};
+}
+
+// value as {millis, fraction}, where millis is the whole seconds since 1970-01-01 (since midnight for times) in milliseconds,
+// and fraction is the digits of the fractional seconds
+function parse(typeName, v) {
+	var m, seconds;
+
+	switch (typeName) {
+	case 'DAYDATE':
+		return {millis: dayMillis(v + 1), fraction: ''};	// hdb returns the day number - 1
+	case 'SECONDTIME':
+		return {millis: v * 1000, fraction: ''};
+	case 'SECONDDATE':
+		return {millis: dayMillis(Math.floor(v / 86400) + 1) + (v % 86400) * 1000, fraction: ''};
+	case 'LONGDATE':
+		v = String(v);	// 100 ns units
+		seconds = v.length > 7 ? parseInt(v.substring(0, v.length - 7), 10) : 0;
+		return {millis: dayMillis(Math.floor(seconds / 86400) + 1) + (seconds % 86400) * 1000, fraction: lpad(v.substring(v.length - 7), 7)};
+	case 'TIME':
+		m = TIME_REGEXP.exec(v);
+		if (!m) return null;
+		return {millis: ((+m[1] * 60 + +m[2]) * 60 + +m[3]) * 1000, fraction: m[4] || ''};
+	default:
+		m = DATETIME_REGEXP.exec(v);
+		if (!m) return null;
+		return {millis: utcMillis(+m[1], +m[2], +m[3], +m[4] || 0, +m[5] || 0, +m[6] || 0), fraction: m[7] || ''};
+	}
+}
+
+// midnight of the HANA day number in milliseconds since 1970-01-01
+function dayMillis(daydate) {
+	if (daydate >= GREGORIAN_DAYDATE)
+		return (daydate - UNIX_EPOCH_DAYDATE) * DAY_MILLIS;
+
+	var date = calendar.DATE(daydate);	// e.g. '1001-01-01'
+	return utcMillis(+date.substring(0, 4), +date.substring(5, 7), +date.substring(8, 10), 0, 0, 0);
+}
+
+function utcMillis(year, month, day, hours, minutes, seconds) {
+	var d = new Date(Date.UTC(2000, month - 1, day, hours, minutes, seconds));
+	d.setUTCFullYear(year);	// Date.UTC maps the years 0-99 to 1900-1999
+	return d.getTime();
+}
+
+// offset of the timezone at the given time in minutes
+function zoneOffset(timezone, millis) {
+	if (timezone === 'UTC') return 0;
+
+	var m = OFFSET_REGEXP.exec(timezone);
+	if (m) return (m[1] === '-' ? -1 : 1) * (+m[2] * 60 + +m[3]);
+
+	var zoneFormat = zoneFormats[timezone] = zoneFormats[timezone] || new Intl.DateTimeFormat('en-US', {
+		timeZone: timezone,
+		hourCycle: 'h23',
+		year: 'numeric', month: 'numeric', day: 'numeric',
+		hour: 'numeric', minute: 'numeric', second: 'numeric'
+	});
+
+	var parts = {};
+	_.each(zoneFormat.formatToParts(new Date(millis)), function(part) {
+		parts[part.type] = +part.value;
+	});
+
+	return Math.round((utcMillis(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(millis / 1000) * 1000) / 60000);
+}
+
+// moment knows milliseconds only, so the S tokens are replaced by the digits of the fraction as escaped text
+function insertFraction(format, fraction) {
+	return format.replace(/(\[[^\]]*\])|S+/g, function(token, escaped) {
+		if (escaped) return escaped;
+		return '[' + (fraction + repeat('0', token.length)).substring(0, token.length) + ']';
+	});
+}
+
+function lpad(s, length) {
+	return (repeat('0', length) + s).slice(-length);
+}
+
+function repeat(s, count) {
+	return new Array(count + 1).join(s);
+}
+
+exports.DEFAULTS = DEFAULTS;
+exports.KINDS = KINDS;
+exports.normalize = normalize;
+exports.createFormatter = createFormatter;
+exports.parse = parse;
@@ -51,10 +51,12 @@
 'use strict';
 
 var hdbPool = require('./hdbPool.js'),
+	queryArgs = require('./queryArgs.js'),
 	WSS = require('hana-saml-wsse'),
 	precise = require('precise'),
 	moment = require('moment'),
 	url = require('url'),
+	fs = require('fs'),
 	async = require('async'),
 	hdbPoolLogger = global.logger || require('tracer').colorConsole({stackIndex: 1});
 
@@ -66,9 +68,16 @@ var QUERYMODE = {
 	STREAM: 'stream'
 };
 
+hdbPool.setLogger(hdbPoolLogger);	// pools log with their logger option, this one is for the rest of hdbPool
+
 var userPools = {},
 	envPools = {};
 
+var cleanupTimer = null,
+	shuttingDown = false;
+
+var slowQueryStreams = {};	// slow query log files per env, shared by the env pool and the user pools
+
 var wssclient;
 
 var SESSION_EXPIRED_TOKEN = 'SESSION_EXPIRED::';
@@ -102,7 +111,15 @@ var Conf = {
 			DEFAULT_SCHEMA: 'USER',
 			POOL_SIZE: 3,
 			POOL_TTL_MS: 30000,
-			POOL_LOG: null
+			POOL_LOG: null,
+			QUERY_TIMEOUT_MS: 0,
+			RETRY: null,	// e.g. {maxAttempts: 3}, see the retry option of hdbPool
+			VALIDATE_ON_BORROW: false,
+			VALIDATION_IDLE_MS: 0,
+			SLOW_QUERY: null,	// e.g. {durationMillis: 1000, file: 'slow.log'}, see the slowQuery option of hdbPool
+			ACQUIRE_TIMEOUT_MS: 0,
+			MAX_WAITING_CLIENTS: null,	// null means unlimited
+			HIGH_PRIORITY_CONNECTIONS: 0	// connections of the env pool reserved for queries with priority: 'high'
 		}
 	}
 };
@@ -146,7 +163,8 @@ function initUserPools(cb) {
 	}
 
 	userPools = {};
-	setInterval(cleanupUserPools, Conf.userpool.CLEANUP_INTERVAL * 1000);	// setup periodic cleanup routine
+	clearInterval(cleanupTimer);
+	cleanupTimer = setInterval(cleanupUserPools, Conf.userpool.CLEANUP_INTERVAL * 1000);	// setup periodic cleanup routine
 
 	// user pools are initialized on-demand
 	if (cb) return cb();
@@ -174,6 +192,15 @@ function initEnvPools(cb) {
 			maxPoolSize: c.POOL_SIZE,
 			idleTimeoutMillis: c.POOL_TTL_MS || 30000,	// specifies how long a resource can stay idle in pool before being removed
 			genericPoolLog: c.POOL_LOG,
+			queryTimeoutMillis: c.QUERY_TIMEOUT_MS,
+			metrics: true,
+			retry: c.RETRY,
+			validateOnBorrow: c.VALIDATE_ON_BORROW,
+			validationIdleMillis: c.VALIDATION_IDLE_MS,
+			slowQuery: slowQueryOptions(env),
+			acquireTimeoutMillis: c.ACQUIRE_TIMEOUT_MS,
+			maxWaitingClients: c.MAX_WAITING_CLIENTS,
+			highPriorityConnections: c.HIGH_PRIORITY_CONNECTIONS,
 			resphPrefix: Conf.http.HEADER_PREFIX || 'x-hdb-',
 			defaultSchema: c.DEFAULT_SCHEMA || c.SCHEMA
 		};
@@ -197,29 +224,51 @@ function initEnvPools(cb) {
 	});
 }
 
-// function to decide if the query needs to be executed on an environment pool or on a user pool
-function query(querymode, sql, args, req, streams, cb, type) {
+// slowQuery option of the pools of the env: a file is opened only once, and all pools of the env write into it
+// (separate streams of the same file would interleave their lines, and they would not be closed with the user pools)
+function slowQueryOptions(env) {
+	var c = Conf.db[env].SLOW_QUERY;
+	if (!c || !c.file) return c;
 
-	var env = getEnvFromRequest(req);
-
-	if (!env || !env.match(/^[A-Za-z0-9_]+$/) || !Conf.db[env]) {
-		var err = 'invalid ' + Conf.sourceSysField + ' value: ' + env;
-		logger.error(err);
-		return cb ? cb(err) : null;
+	if (!slowQueryStreams[env]) {
+		slowQueryStreams[env] = fs.createWriteStream(c.file, {flags: 'a'});
+		slowQueryStreams[env].on('error', function(err) {
+			logger.error(env + ': unable to write slow query log ' + c.file, err);
+		});
 	}
 
-	// if we have a valid SAML session, execute the query on a user pool
-	if (req && req.SAMLAuthenticated && req.session && req.session.passport && req.session.passport.user)
-		return queryUserPool(querymode, env, sql, args, req, streams, cb, type);
+	return _.extend(_.omit(c, 'file'), {stream: slowQueryStreams[env]});
+}
+
+// function to decide if the query needs to be executed on an environment pool or on a user pool
+// returns a Promise if cb is omitted
+function query(querymode, o, cb) {
+	return queryArgs.promisify(cb, function(cb) {
+		var req = o.req,
+			env = getEnvFromRequest(req);
+
+		if (shuttingDown)
+			return cb('hdbMetaPool is shut down');
+
+		if (!env || !env.match(/^[A-Za-z0-9_]+$/) || !Conf.db[env]) {
+			var err = 'invalid ' + Conf.sourceSysField + ' value: ' + env;
+			logger.error(err);
+			return cb(err);
+		}
+
+		// if we have a valid SAML session, execute the query on a user pool
+		if (req && req.SAMLAuthenticated && req.session && req.session.passport && req.session.passport.user)
+			return queryUserPool(querymode, env, o, cb);
 
-	// execute the query on an env pool
-	queryEnvPool(querymode, env, sql, args, req, streams, cb, type);
+		// execute the query on an env pool
+		queryEnvPool(querymode, env, o, cb);
+	}, queryArgs.isHttp(o));
 }
 
 // try to connect
 function detectSAMLerror(env, userId, assertion, cb) {
 	assertion = assertion.replace("'", '', 'g'); // assertion content should be fairly safe but strip it anyway
-	queryEnvPool('exec', env, "CONNECT WITH SAML ASSERTION '" + assertion + "'", [], function(err) {
+	queryEnvPool('exec', env, {sql: "CONNECT WITH SAML ASSERTION '" + assertion + "'", args: []}, function(err) {
 		if (!err) {
 			logger.error(env + ':' + userId + ': unexpected error: assertion appears valid but direct SAML authentication earlier returned an error');
 			// the env pool is tainted - nuke all resources immediately
@@ -231,7 +280,8 @@ function detectSAMLerror(env, userId, assertion, cb) {
 	});
 }
 
-function queryUserPool(querymode, env, sql, args, req, streams, cb, type) {
+function queryUserPool(querymode, env, o, cb) {
+	var req = o.req;
 
 	logger.trace('queryUserPool');
 
@@ -240,7 +290,7 @@ function queryUserPool(querymode, env, sql, args, req, streams, cb, type) {
 
 		var pool = userPools[userId].pools[env];
 
-		pool[querymode](sql, args, req, streams, function(err, result) {
+		pool[querymode](o, function(err, result) {
 			// detect 10: Authentication Failed HANA error
 			var isAuthFailed = (err && (err.code === 10));
 
@@ -257,27 +307,24 @@ function queryUserPool(querymode, env, sql, args, req, streams, cb, type) {
 			// - user is not yet created on HANA -> 591: internal error: Invalid principal id for principal $principalName$
 			var _drain = function(error) {
 				delete error.assertion; // don't propagate failed assertion further upstream - potentially unsafe
-				var p = pool.pool;
-				p.min = 0;	// prevent re-creating resources when min > 0
-
-				var _clean = function(error) {
-					userPools[userId].pools[env] = null;	// destroy the reference
-					// clean the HANA session cookie
-					if (req.session && req.session.passport && req.session.passport.user && req.session.passport.user[env] && req.session.passport.user[env].HANAsessionCookie) {
-						req.session.passport.user[env].HANAsessionCookie = null;
-						req.session.save();
-					}
-					return cb(error, result);
-				}
 
-				if (p.getPoolSize() === 0) return _clean(error);	// no need to drain empty pool, just clean it
+				// destroy the reference, unless the pool has been replaced or dropped in the meantime
+				if (userPools[userId] && userPools[userId].pools[env] === pool)
+					userPools[userId].pools[env] = null;
+
+				// clean the HANA session cookie
+				if (req.session && req.session.passport && req.session.passport.user && req.session.passport.user[env] && req.session.passport.user[env].HANAsessionCookie) {
+					req.session.passport.user[env].HANAsessionCookie = null;
+					req.session.save();
+				}
 
-				// drain and clean non-empty pool
-				p.drain(function() {
+				// close() waits for the other queries of the pool, destroys its clients, and unregisters it from the metrics
+				// the next request of the user creates a new pool in the meantime
+				pool.close(function() {
 					logger.warn(env + ':' + userId + ' expired pool destroyed');
-					p.destroyAllNow();
-					return _clean(error);
 				});
+
+				return cb(error, result);
 			}
 
 			if (isMissingUser) {
@@ -287,20 +334,24 @@ function queryUserPool(querymode, env, sql, args, req, streams, cb, type) {
 			else if (isAuthFailed) {
 				if (pool._authMethod === 'assertion' && err.assertion) {
 					// try to figure out what went wrong
-					detectSAMLerror(env, userId, err.assertion, _drain);
+					detectSAMLerror(env, userId, err.assertion, function(samlErr) {
+						_drain(samlErr || err);	// the pool is dropped even if the assertion appears valid
+					});
 				}
 				else {	// HANA session cookie expired
 					logger.error(userId + ': expired HANA ' + pool._authMethod + ' on ' + env);
 					_drain(err);
 				}
 			}
-		}, type);
+		});
 	});
 }
 
-function queryEnvPool(querymode, env, sql, args, req, streams, cb, type) {
+// usage: q(querymode, env, sql, args, req, streams, [cb], [type]) or q(querymode, env, {sql, args, req, streams, ...}, [cb])
+function queryEnvPool(querymode, env) {
 	logger.trace('queryEnvPool called');
-	envPools[env][querymode](sql, args, req, streams, cb, type);
+	var o = queryArgs.parseQueryArgs(Array.prototype.slice.call(arguments, 2));
+	return envPools[env][querymode](o, o.cb);
 }
 
 function getAssertionFactory(masterAssertion) {
@@ -400,6 +451,14 @@ function createUserPool(req, env, cb) {
 		maxPoolSize: Conf.userpool.POOL_SIZE || 1,
 		idleTimeoutMillis: Conf.userpool.POOL_TTL_MS || 30000,	// specifies how long a resource can stay idle in pool before being removed
 		genericPoolLog: Conf.db[env].POOL_LOG,
+		queryTimeoutMillis: Conf.db[env].QUERY_TIMEOUT_MS,
+		metrics: true,
+		retry: Conf.db[env].RETRY,
+		validateOnBorrow: Conf.db[env].VALIDATE_ON_BORROW,
+		validationIdleMillis: Conf.db[env].VALIDATION_IDLE_MS,
+		slowQuery: slowQueryOptions(env),
+		acquireTimeoutMillis: Conf.db[env].ACQUIRE_TIMEOUT_MS,
+		maxWaitingClients: Conf.db[env].MAX_WAITING_CLIENTS,
 		refreshIdle: false, // keep alive at least _minPoolSize_ connections (if true, connections are destroyed and recreated every _idleTimeoutMillis_)
 		resphPrefix: Conf.http.HEADER_PREFIX || 'x-hdb-',
 		defaultSchema: Conf.db[env].DEFAULT_SCHEMA || Conf.db[env].SCHEMA
@@ -452,31 +511,68 @@ function createUserPool(req, env, cb) {
 
 }
 
+// wrappers below accept (sql, args, req, outstream, [cb]) or ({sql, args, req, res}, [cb]),
+// and return a Promise if cb is omitted
+
 // comma-separated values
 function csv(sql, args, req, outstream, cb) {
 	logger.trace('csv called');
-	query(QUERYMODE.STREAM, sql, args, req, [hdbPool.createCsvStringifier, outstream], cb);
+	return streamQuery(arguments, hdbPool.createCsvStringifier);
 }
 
 // semicolon-separated values
 function ssv(sql, args, req, outstream, cb) {
 	logger.trace('ssv called');
-	query(QUERYMODE.STREAM, sql, args, req, [hdbPool.createSsvStringifier, outstream], cb);
+	return streamQuery(arguments, hdbPool.createSsvStringifier);
 }
 
 function json(sql, args, req, outstream, cb) {
 	logger.trace('json called');
-	query(QUERYMODE.STREAM, sql, args, req, [hdbPool.createJSONStringifier, outstream], cb);
+	return streamQuery(arguments, hdbPool.createJSONStringifier);
+}
+
+// newline-delimited JSON, one row per line
+function ndjson(sql, args, req, outstream, cb) {
+	logger.trace('ndjson called');
+	return streamQuery(arguments, hdbPool.createNdjsonStringifier);
+}
+
+// Excel workbook, see createXlsxStringifier
+function xlsx(sql, args, req, outstream, cb) {
+	logger.trace('xlsx called');
+	return streamQuery(arguments, hdbPool.createXlsxStringifier);
+}
+
+// XML document, see createXmlStringifier
+function xml(sql, args, req, outstream, cb) {
+	logger.trace('xml called');
+	return streamQuery(arguments, hdbPool.createXmlStringifier);
+}
+
+// Excel 2003 XML workbook, see createSpreadsheetMLStringifier
+function spreadsheetml(sql, args, req, outstream, cb) {
+	logger.trace('spreadsheetml called');
+	return streamQuery(arguments, hdbPool.createSpreadsheetMLStringifier);
 }
 
 function exec(sql, args, req, outstream, cb) {
 	logger.trace('exec called');
-	query(QUERYMODE.EXEC, sql, args, req, outstream, cb);
+	var o = queryArgs.parseQueryArgs(arguments);
+	return query(QUERYMODE.EXEC, o, o.cb);
 }
 
 function meta(sql, args, req, outstream, cb) {
 	logger.trace('meta called');
-	query(QUERYMODE.META, sql, args, req, outstream, cb);
+	var o = queryArgs.parseQueryArgs(arguments);
+	return query(QUERYMODE.META, o, o.cb);
+}
+
+// pipe the result set through the stringifier into the output stream
+function streamQuery(params, stringifier) {
+	var o = queryArgs.parseQueryArgs(params);
+	o.streams = [stringifier, o.res || o.streams];
+	delete o.res;
+	return query(QUERYMODE.STREAM, o, o.cb);
 }
 
 // check if Conf.sourceSysField is present or not
@@ -679,10 +775,8 @@ function drainUserPool(userId, cb) {
 			// pool is already killed because e.g. session timeout was detected
 			return callback();
 
-		pool.pool.min = 0;	// prevent re-creating resources when min > 0
-		pool.pool.drain(function() {
+		pool.close(function() {
 			logger.info(userId + ' pool destroyed on ' + env);
-			pool.pool.destroyAllNow();
 			return callback();
 		});
 	}, function(err) {
@@ -690,6 +784,60 @@ function drainUserPool(userId, cb) {
 	});
 }
 
+// close all env and user pools, and stop the periodic cleanup of user pools
+// options is {timeout} or the timeout in milliseconds, see close() of hdbPool
+// returns a Promise if cb is omitted
+function shutdown(options, cb) {
+	if (typeof options === 'function') {
+		cb = options;
+		options = {};
+	}
+
+	return queryArgs.promisify(cb, function(cb) {
+		shuttingDown = true;
+		clearInterval(cleanupTimer);
+		cleanupTimer = null;
+
+		var pools = Object.keys(envPools).map(function(env) {
+			return envPools[env];
+		});
+
+		Object.keys(userPools).forEach(function(userId) {
+			var o = userPools[userId];
+			if (!o || !o.pools) return;
+
+			Object.keys(o.pools).forEach(function(env) {
+				if (o.pools[env] && o.pools[env].pool)
+					pools.push(o.pools[env]);
+			});
+		});
+
+		envPools = {};
+		userPools = {};
+
+		logger.info('shutting down ' + pools.length + ' hdb pools');
+
+		async.each(pools, function(pool, callback) {
+			pool.close(options, function() {
+				return callback();
+			});
+		}, function() {
+			logger.info('all hdb pools are closed');
+
+			var streams = _.values(slowQueryStreams);
+			slowQueryStreams = {};
+
+			async.each(streams, function(stream, callback) {
+				stream.end(function() {
+					return callback();
+				});
+			}, function() {
+				return cb();
+			});
+		});
+	});
+}
+
 exports.configure = configure;
 exports.initPools = initPools;
 exports.createUserPool = createUserPool;
@@ -699,9 +847,16 @@ exports.getEnv = getEnvFromRequest;
 exports.csv = csv;
 exports.ssv = ssv;
 exports.json = json;
+exports.ndjson = ndjson;
+exports.xlsx = xlsx;
+exports.xml = xml;
+exports.spreadsheetml = spreadsheetml;
 exports.exec = exec;
 exports.meta = meta;
 exports.getSystemFootprint = getSystemFootprint;
 exports.getAssertionFactory = getAssertionFactory;
 exports.q = queryEnvPool;
 exports.logout = logout;
+exports.shutdown = shutdown;
+exports.errorHandler = hdbPool.errorHandler;	// responds 503 with Retry-After if a pool is exhausted
+exports.metrics = hdbPool.metrics;	// Prometheus metrics of the env and user pools, e.g. app.get('/metrics', hdbMetaPool.metrics.handler)
@@ -1,12 +1,29 @@
 "use strict";
 
 var hdb	= require('hdb'),
+	EventEmitter = require('events').EventEmitter,
+	stream = require('stream'),
+	util = require('util'),
 	poolModule = require('generic-pool'),
 	uuid = require('node-uuid'),
 	crypto = require('crypto'),
 	async = require('async'),
 	_ = require('underscore'),
-	transformLobs = require('./transformLobs.js')
+	transformLobs = require('./transformLobs.js'),
+	StatementCache = require('./statementCache.js'),
+	namedParameters = require('./namedParameters.js'),
+	RetryPolicy = require('./retryPolicy.js'),
+	metrics = require('./metrics.js'),
+	SlowQueryLog = require('./slowQueryLog.js'),
+	dateFormat = require('./dateFormat.js'),
+	numberFormat = require('./numberFormat.js'),
+	xlsx = require('./xlsx.js'),
+	arrow = require('./arrow.js'),
+	xml = require('./xml.js'),
+	queryArgs = require('./queryArgs.js'),
+	promisify = require('./queryArgs.js').promisify,
+	PoolLogger = require('./logger.js').PoolLogger,
+	createJsonLogger = require('./logger.js').createJsonLogger
 ;
 
 var hdbTypes = require('hdb/lib/protocol/common/TypeCode'),
@@ -17,13 +34,53 @@ var lobTypes = [hdbTypes.CLOB, hdbTypes.NCLOB, hdbTypes.BLOB, hdbTypes.TEXT];	//
 
 var DSV_DELIMITER = '\n';
 var DSV_SEPARATOR = ';';
+var DSV_NULL = '\\N';
 var ESCAPE_REGEXP = new RegExp('"', 'g');
+var NDJSON_LINE_ENDING = '\n';
+var UTF8_BOM = '\ufeff';	// makes Excel detect the encoding of the file
+
+// options of createDsvStringifier, see the README
+var DSV_DEFAULTS = {
+	separator: DSV_SEPARATOR,
+	lineEnding: DSV_DELIMITER,
+	nullValue: DSV_NULL,
+	header: true,
+	quote: 'minimal',	// 'minimal': text fields are quoted if needed, 'all': every field except NULL is quoted
+	bom: false
+};
 
 var QUERYMODE = {
 	EXEC: 1,
 	META: 2,
 	STREAM: 3
 };
+var QUERYMODE_NAMES = _.invert(QUERYMODE);	// e.g. 1 -> 'EXEC'
+
+var queryCounter = 0;	// unique id of queries within the process, used in the request queue
+
+var CANCEL_GRACE_MILLIS = 10000;	// max time to wait for a cancelled statement to return before its client is destroyed
+var DEFAULT_STATEMENT_CACHE_SIZE = 50;	// max number of prepared statements cached per client
+var DEFAULT_BATCH_CHUNK_SIZE = 1000;	// number of rows sent in one array-bind batch by execBatch
+var DEFAULT_VALIDATION_QUERY = 'SELECT 1 FROM DUMMY';
+var DEFAULT_VALIDATION_TIMEOUT_MILLIS = 5000;
+var DEFAULT_RETRY_AFTER_SECONDS = 1;	// Retry-After of the 503 response if the pool is exhausted
+
+// priorities of the callers waiting for a free connection, generic-pool serves the lower numbers first
+var PRIORITIES = {
+	high: 0,
+	normal: 1,
+	low: 2
+};
+var DEFAULT_PRIORITY = 'normal';
+
+var DEFAULT_CLOSE_TIMEOUT_MILLIS = 30000;	// max time to wait for in-flight queries when the pool is closed
+
+// layouts of the compact JSON results: array of row arrays, or array of column arrays
+var COMPACT_LAYOUTS = ['rows', 'columns'];
+var COLUMN_OPTIONAL = 2;	// nullable flag of the column mode, see ParameterMode of hdb
+
+var ISOLATION_LEVELS = ['READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'],
+	DEFAULT_ISOLATION_LEVEL = 'READ COMMITTED';
 
 var DSV_QUOTE = {
 	CHAR: true,
@@ -38,16 +95,7 @@ var DSV_QUOTE = {
 	TEXT: true
 };
 
-// optional post-processors for specific column types
-var iso8601 = function(d) { return (d === '\\N') ? '\\N' : moment(d).format('YYYY-MM-DDTHH:mm:ss'); }; // ISO 8601 less tz
-var DSV_FORMAT = {
-	DAYDATE: iso8601,
-	DATE: iso8601,
-	TIMESTAMP: iso8601,
-	TIMESTAMP_TZ: iso8601
-};
-
-var logger = null;
+var logger = null;	// used by the functions which do not belong to a pool, see setLogger()
 
 function log(level, msg, arg) {
 	if (logger && logger[level]) {
@@ -60,11 +108,24 @@ function log(level, msg, arg) {
 	}
 }
 
+// errors raised by the pool itself carry a code, similar to the errors of node-hdb
+function createError(code, message) {
+	var err = new Error(message);
+	err.code = code;
+	return err;
+}
+
 function HDBPool(options, req) {
 	var user = options.user || 'Unknown-user',
-		env = options.env || options.host || 'Unknown-env'
+		env = options.env || options.host || 'Unknown-env',
+		me = this
 	;
 
+	// every pool logs with its own logger, adding env and user to the records
+	this.logger = new PoolLogger(options.logger, function() {
+		return {env: env, user: user};
+	});
+
 	// extract user from the assertion
 	if (options.assertion && typeof options.assertion != 'function' && !options.user) {
 		var m = options.assertion.match(/<([a-zA-Z0-9]+:)?NameID[^>]*>([^>]+)<\/([a-zA-Z0-9]+:)?NameID>/);
@@ -72,7 +133,7 @@ function HDBPool(options, req) {
 			user = m[2];
 		}
 		else {
-			log('error', 'Assertion does not contain NameID tag');
+			this.log('error', 'assertion does not contain NameID tag', {event: 'invalidAssertion'});
 			return;
 		}
 	}
@@ -86,11 +147,26 @@ function HDBPool(options, req) {
 		};
 	}
 
+	EventEmitter.call(this);
+
 	// initialise request queue and pool for the given environment
 	this.reqQueue = {};	// track requests closed by the client/requestor
 	this.env = env;
 	this.user = user;
 	this.options = options;
+	this.statementCacheStats = {hits: 0, misses: 0, evictions: 0, cached: 0};	// shared by the statement caches of all clients
+	this.retryPolicy = new RetryPolicy(options.retry);
+	this.retryStats = {connect: 0, query: 0};	// number of retries
+	this.closing = false;	// set by close(), new queries are rejected
+	this.clientsInUse = [];	// acquired clients, destroyed if the pool cannot be closed gracefully
+	this.pendingAcquires = [];	// callers waiting for a client
+	this.sharedQueue = [];	// normal and low priority callers waiting for a connection not reserved for high priority
+
+	if (options.slowQuery)
+		this.slowQueryLog = new SlowQueryLog(options.slowQuery, _.bind(this.log, this));
+
+	if (options.metrics)	// true for the default registry, or a metrics.Registry
+		(options.metrics === true ? metrics.registry : options.metrics).register(this);
 
 	var maxPoolSize = options.maxPoolSize || 1;
 
@@ -107,101 +183,126 @@ function HDBPool(options, req) {
 		maxPoolSize = 1;
 	}
 
-	var pool = this.pool = poolModule.Pool({
-		name: 'hdb-' + env + '-' + user,
-		create: function(callback) {
-			var poolFactory = this;
-			var clientOpts = {
-				host: options.host,
-				port: options.port
-			};
-
-			var hdbclient = hdb.createClient(clientOpts);
+	// creates a connected hdb client for the pool, _this_ is the pool factory
+	var create = function(callback) {
+		var poolFactory = this;
+		var clientOpts = {
+			host: options.host,
+			port: options.port
+		};
 
-			hdbclient.on('error', function(err) {
-				log('error', user + ' CLIENT ERROR on ' + env, err);
-				return callback(err, hdbclient);
-			});
+		var hdbclient = hdb.createClient(clientOpts);
 
-			var connOpts;
+		hdbclient.hdbPoolLastUsed = null;	// never borrowed, no need to validate it actively
 
-			if (options.user && options.password) {
-				log('debug', env + ':' + user + ' connecting with username and password');
-				connOpts = {user: user, password: options.password, method: 'password'};
-			}
-			else if (options.user && options.sessionCookie) {
-				log('debug', env + ':' + user + ' hdb connecting with sessionCookie');
-				connOpts = {
-					user: options.user,
-					// workaround to make node-hdb send SCRAMSHA256 response in addition to SAML.
-					// If password is missing, invalid session cookie will result in "1033 error while parsing protocol"
-					password: crypto.randomBytes(1),
-					sessionCookie: new Buffer(options.sessionCookie, 'binary'),
-					method: 'sessionCookie'
-				};
-			}
-			else if (options.assertion) {
-				log('debug', env + ':' + user + ' hdb connecting with SAML assertion');
-			}
-			else {
-				log('error', user + ' no authentication method for ' + env);
-				return callback('no authentication method', hdbclient);
-			}
+		hdbclient.on('error', function(err) {
+			me.log('error', 'hdb client error', {event: 'clientError', connectionId: hdbclient.hdbPoolConnectionId, error: err});
+			return callback(err, hdbclient);
+		});
 
-			if (!connOpts && options.assertion) {
-				assertionFactory(function(err, assertion) {
-					if (err) {
-						return callback('SAML delegation error:' + err, hdbclient);
-					}
-					connOpts = {
-						assertion: assertion,
+		var connOpts = credentials(options);
 
-						// workaround to make node-hdb send SCRAMSHA256 response in addition to SAML.
-						// If missing, invalid assertion will result in "1033 error while parsing protocol"
-						user: user, password: crypto.randomBytes(1),
+		if (connOpts) {
+			me.log('debug', 'connecting with ' + (connOpts.method === 'password' ? 'username and password' : 'sessionCookie'), {event: 'connect', method: connOpts.method});
+		}
+		else if (options.assertion) {
+			me.log('debug', 'connecting with SAML assertion', {event: 'connect', method: 'assertion'});
+		}
+		else {
+			me.log('error', 'no authentication method', {event: 'connectError'});
+			return callback('no authentication method', hdbclient);
+		}
 
-						method: 'assertion' };
-					conn();
-				})
-			} else {
-				conn();
-			}
+		if (!connOpts && options.assertion) {
+			assertionFactory(function(err, assertion) {
+				if (err) {
+					return callback('SAML delegation error:' + err, hdbclient);
+				}
+				connOpts = {
+					assertion: assertion,
 
-			function conn() {
+					// workaround to make node-hdb send SCRAMSHA256 response in addition to SAML.
+					// If missing, invalid assertion will result in "1033 error while parsing protocol"
+					user: user, password: crypto.randomBytes(1),
 
-				hdbclient.connect(connOpts, function(err) {
-					if (err) {
-						log('info', env + ':' + user + ': error while creating hdb connection', err.message);
-						if (connOpts.assertion)
-							err.assertion = connOpts.assertion; // pass the assertion upstream for inspection
-						return callback(err, hdbclient);
-					}
-					log('info', env + ':' + hdbclient.get('user') + ' connected using ' + connOpts.method);
+					method: 'assertion' };
+				conn();
+			})
+		} else {
+			conn();
+		}
 
-					// store user and sessionCookie inside the pool for future connections
-					user = options.user = hdbclient.get('user');
-					var hdbCookie = hdbclient.get('sessionCookie');
+		function conn() {
 
-					if (connOpts.method == 'assertion' && hdbCookie) { // HDB does not return a cookie for username/password scheme
-						options.sessionCookie = hdbclient.get('sessionCookie').toString('binary');
+			hdbclient.connect(connOpts, function(err) {
+				if (err) {
+					me.log('info', 'error while creating hdb connection', {event: 'connectError', method: connOpts.method, error: err});
+					if (connOpts.assertion)
+						err.assertion = connOpts.assertion; // pass the assertion upstream for inspection
+					return callback(err, hdbclient);
+				}
+				// store user and sessionCookie inside the pool for future connections
+				user = options.user = hdbclient.get('user');
+				me.log('info', 'connected', {event: 'connected', method: connOpts.method});
+				var hdbCookie = hdbclient.get('sessionCookie');
 
-						var pts = options.sessionCookie.split('@'); // split host
-						//options.sessionCookie = pts[0];
-						log('trace', 'got hdb cookie ->', options.sessionCookie, pts[1] ? pts[1] : '');
+				if (connOpts.method == 'assertion' && hdbCookie) { // HDB does not return a cookie for username/password scheme
+					options.sessionCookie = hdbclient.get('sessionCookie').toString('binary');
 
-						// store sessionCookie into express session to support cube-server restart
-						storeIntoSession(req, env, options.user, options.sessionCookie);
-					}
+					var pts = options.sessionCookie.split('@'); // split host
+					//options.sessionCookie = pts[0];
+					me.log('trace', 'got hdb sessionCookie', {event: 'sessionCookie', host: pts[1] || undefined});
 
-					// after the first successful connection, maxPoolSize can be updated
-					if (poolFactory.max != options.maxPoolSize)
-						poolFactory.max = options.maxPoolSize;		// enable max pool size
+					// store sessionCookie into express session to support cube-server restart
+					storeIntoSession(req, env, options.user, options.sessionCookie);
+				}
 
-					setDefaultSchema(options, hdbclient, user, env, callback);
+				// after the first successful connection, maxPoolSize can be updated
+				if (poolFactory && poolFactory.max != options.maxPoolSize)
+					poolFactory.max = options.maxPoolSize;		// enable max pool size
 
+				setDefaultSchema.call(me, options, hdbclient, function(err) {
+					if (err) return callback(err, hdbclient);
+					setConnectionId.call(me, hdbclient, callback);
 				});
+
+			});
+		}
+	};
+
+	var retryPolicy = this.retryPolicy, retryStats = this.retryStats;
+
+	// connection creation is retried in case of transient errors
+	function createWithRetry(callback) {
+		var poolFactory = this,
+			start = +new Date(),
+			attempts = 0,
+			emitted = false;
+
+		retryPolicy.run(function(attemptCb) {
+			attempts++;
+			create.call(poolFactory, attemptCb);
+		}, function(err, attempt, delay, hdbclient) {
+			if (hdbclient) hdbclient.close();
+			retryStats.connect++;
+			me.log('warn', 'connection attempt failed, retrying', {event: 'connectRetry', attempt: attempt, maxAttempts: retryPolicy.maxAttempts, delayMs: delay, error: err});
+		}, function(err, hdbclient) {
+			if (!emitted) {	// the error listener of the client may call back again later
+				emitted = true;
+				var event = {env: env, user: user, attempts: attempts, durationMillis: +new Date() - start};
+
+				if (err) me.emit('connectError', _.extend(event, {error: err}));
+				else me.emit('connect', _.extend(event, {connectionId: hdbclient.hdbPoolConnectionId}));
 			}
-		},
+
+			return callback.apply(null, arguments);
+		});
+	}
+
+	// the factory is kept, its min is reset by close(), see closePool()
+	var factory = this.poolFactory = {
+		name: 'hdb-' + env + '-' + user,
+		create: createWithRetry,
 
 		validate: function(client) {
 			if (client && client.readyState === 'connected') {
@@ -209,115 +310,712 @@ function HDBPool(options, req) {
 				return true;
 			}
 			else {
-				log('info', env + ':' + user + ' hdb client is not valid');
+				me.log('info', 'hdb client is not valid', {event: 'invalidClient', connectionId: client && client.hdbPoolConnectionId});
 				// it will be automatically removed from the pool
 				return false;
 			}
 		},
 
 		destroy: function(client) {
-			log('info', env + ':' + user + ' hdb client destroyed');
-			client.end();
+			me.log('info', 'hdb client destroyed', {event: 'destroy', connectionId: client.hdbPoolConnectionId});
+			client.hdbPoolDestroyed = true;
+			me.clientsInUse = _.without(me.clientsInUse, client);
+			me.emit('destroy', {env: env, user: user, connectionId: client.hdbPoolConnectionId});
+			dispatchShared.call(me);
+			if (!client.hdbPoolStatementCache)
+				return client.end();
+
+			// drop cached statements before closing the connection
+			client.hdbPoolStatementCache.clear(function() {
+				client.end();
+			});
 		},
 		max: maxPoolSize,
 		min: options.minPoolSize || 0,
 		idleTimeoutMillis: options.idleTimeoutMillis || 30000, // specifies how long a resource can stay idle in pool before being removed
 		log: options.genericPoolLog || false, // if true, logs via console.log - can also be a function
+		priorityRange: _.size(PRIORITIES),
 		refreshIdle: (_.isNull(options.refreshIdle) || _.isUndefined(options.refreshIdle)) ? true : options.refreshIdle
-	});
-}
+	};
 
-// simple query
-function q(sql, args, cb) {
-	var prep = _.isArray(args) && args.length > 0;
-	cb = cb || _.isFunction(args) ? args : function(){};
+	this.pool = poolModule.Pool(factory);
 }
 
+// lifecycle events: connect, connectError, acquire, release, destroy, queryStart, queryEnd, queryError
+util.inherits(HDBPool, EventEmitter);
+
+// structured log record of the pool, see logger.js
+HDBPool.prototype.log = function log(level, msg, fields) {
+	this.logger.log(level, msg, fields);
+};
+
 // streaming
 HDBPool.prototype.stream  = function stream(sql, args, req, streams, cb, type) {
-	query.call(this, QUERYMODE.STREAM, sql, args, req, streams, cb, type);
+	return callQuery(this, QUERYMODE.STREAM, arguments);
 };
 
 // normal exec
 HDBPool.prototype.exec = function exec(sql, args, req, streams, cb, type) {
-	if (_.isFunction(req)) 	// called without HTTP request/response
-		query.call(this, QUERYMODE.EXEC, sql, args, null, null, req);
-	else // called with HTTP request/response
-		query.call(this, QUERYMODE.EXEC, sql, args, req, streams, cb);
+	return callQuery(this, QUERYMODE.EXEC, arguments);
 };
 
 // metadata
 HDBPool.prototype.meta = function execute(sql, args, req, streams, cb, type) {
-	if (_.isFunction(req)) 	// called without HTTP request/response
-		query.call(this, QUERYMODE.META, sql, args, null, null, req);
-	else // called with HTTP request/response
-		query.call(this, QUERYMODE.META, sql, args, req, streams, cb);
+	return callQuery(this, QUERYMODE.META, arguments);
+};
+
+// run the query with a callback, or return a Promise if the callback is omitted
+function callQuery(pool, querymode, params, tx) {
+	var o = queryArgs.parseQueryArgs(params);
+
+	return promisify(o.cb, function(cb) {
+		query.call(pool, querymode, o, cb, tx);
+	}, queryArgs.isHttp(o));
+}
+
+// run several statements in one transaction on a single pooled connection
+// usage: pool.transaction([options], fn, [cb]), where fn is either async function(tx) or function(tx, done)
+//  * options.isolationLevel: READ COMMITTED, REPEATABLE READ or SERIALIZABLE (defaults to the isolationLevel pool option)
+//  * options.req: HTTP request, the transaction is rolled back if the client drops the request
+//  * options.priority: high, normal (default) or low, see acquireClient()
+// the transaction is committed when fn succeeds, and rolled back otherwise
+// returns a Promise resolved with the result of fn if cb is omitted
+HDBPool.prototype.transaction = function transaction(options, fn, cb) {
+	if (_.isFunction(options)) {
+		cb = fn;
+		fn = options;
+		options = {};
+	}
+	options = options || {};
+
+	var me = this;
+
+	return promisify(cb, function(cb) {
+		runTransaction.call(me, options, fn, cb);
+	});
+};
+
+function runTransaction(txOptions, fn, cb) {
+	var pool = this.pool, me = this;
+	var isolationLevel = txOptions.isolationLevel || this.options.isolationLevel;
+
+	if (!_.isFunction(fn)) return cb(createError('EHDBPOOLPARAMS', 'transaction function is missing'));
+
+	if (isolationLevel && !_.contains(ISOLATION_LEVELS, isolationLevel.toUpperCase()))
+		return cb(createError('EHDBPOOLPARAMS', 'invalid isolation level: ' + isolationLevel));
+
+	acquireClient.call(this, function(err, client) {
+		if (err) {	// error from factory.create
+			me.log('info', 'error while acquiring hdb connection for transaction', {event: 'acquireError', error: err});
+			return cb(err);
+		}
+
+		var tx = new Transaction(me, client, txOptions.req),
+			txStart = +new Date();
+
+		me.log('trace', 'transaction started', {event: 'transactionStart', connectionId: client.hdbPoolConnectionId});
+		client.setAutoCommit(false);
+
+		if (isolationLevel) {
+			client.exec('SET TRANSACTION ISOLATION LEVEL ' + isolationLevel.toUpperCase(), function(err) {
+				if (err) return end(err);
+				run();
+			});
+		}
+		else {
+			run();
+		}
+
+		function run() {
+			var result;
+
+			try {
+				if (fn.length > 1) {	// callback-style transaction function
+					result = new Promise(function(resolve, reject) {
+						fn(tx, function(err, res) {
+							if (err) return reject(err);
+							return resolve(res);
+						});
+					});
+				}
+				else {
+					result = fn(tx);
+				}
+			} catch (e) {
+				return end(e);
+			}
+
+			Promise.resolve(result).then(function(res) {
+				end(null, res);
+			}, function(err) {
+				end(err || 'transaction failed');
+			});
+		}
+
+		function end(err, res) {
+			if (!err && tx.aborted)
+				err = createError('EHDBPOOLTXABORTED', 'transaction aborted: request closed by the client');
+
+			tx.finish();
+
+			if (tx.broken) {	// nothing to commit or roll back on a closed connection
+				err = err || createError('EHDBPOOLTXBROKEN', 'transaction connection is closed');
+				return cleanup(err, function() {
+					cb(err);
+				});
+			}
+
+			if (err) {
+				me.log('info', 'rolling back transaction', {event: 'transactionRollback', durationMs: +new Date() - txStart, error: err});
+				return client.rollback(function(rollbackErr) {
+					if (rollbackErr) me.log('error', 'error while rolling back transaction', {event: 'transactionRollbackError', error: rollbackErr});
+					cleanup(rollbackErr, function() {
+						cb(err);
+					});
+				});
+			}
+
+			client.commit(function(commitErr) {
+				if (commitErr) {
+					me.log('error', 'error while committing transaction', {event: 'transactionCommitError', error: commitErr});
+					return client.rollback(function(rollbackErr) {
+						cleanup(rollbackErr, function() {
+							cb(commitErr);
+						});
+					});
+				}
+
+				me.log('trace', 'transaction committed', {event: 'transactionCommit', durationMs: +new Date() - txStart});
+				cleanup(null, function() {
+					cb(null, res);
+				});
+			});
+		}
+
+		// restore the session defaults before the client goes back to the pool
+		function cleanup(err, done) {
+			if (err || client.readyState !== 'connected') {
+				destroyClient.call(me, client);
+				return done();
+			}
+
+			client.setAutoCommit(true);
+
+			if (!isolationLevel) {
+				releaseClient.call(me, client);
+				return done();
+			}
+
+			client.exec('SET TRANSACTION ISOLATION LEVEL ' + DEFAULT_ISOLATION_LEVEL, function(err) {
+				if (err) destroyClient.call(me, client);
+				else releaseClient.call(me, client);
+				return done();
+			});
+		}
+	}, {priority: txOptions.priority});
+}
+
+// transaction handle passed to the transaction function, exposing exec, stream and meta on the pinned client
+function Transaction(hdbPool, client, req) {
+	var me = this;
+
+	this.hdbPool = hdbPool;
+	this.client = client;
+	this.req = req;
+	this.active = true;
+	this.aborted = false;
+	this.broken = false;	// the connection has been closed by an interrupted query
+
+	if (req) {
+		this.closeCb = function() {
+			hdbPool.log('warn', 'request closed by the client, transaction will be rolled back', {event: 'requestClosed'});
+			me.aborted = true;
+		};
+		req.on('close', this.closeCb);
+	}
+}
+
+Transaction.prototype.exec = function exec(sql, args, req, streams, cb, type) {
+	return callQuery(this.hdbPool, QUERYMODE.EXEC, arguments, this);
+};
+
+Transaction.prototype.stream = function stream(sql, args, req, streams, cb, type) {
+	return callQuery(this.hdbPool, QUERYMODE.STREAM, arguments, this);
+};
+
+Transaction.prototype.meta = function meta(sql, args, req, streams, cb, type) {
+	return callQuery(this.hdbPool, QUERYMODE.META, arguments, this);
+};
+
+Transaction.prototype.savepoint = function savepoint(name, cb) {
+	return txStatement(this, 'SAVEPOINT', name, cb);
+};
+
+Transaction.prototype.rollbackTo = function rollbackTo(name, cb) {
+	return txStatement(this, 'ROLLBACK TO SAVEPOINT', name, cb);
+};
+
+Transaction.prototype.releaseSavepoint = function releaseSavepoint(name, cb) {
+	return txStatement(this, 'RELEASE SAVEPOINT', name, cb);
+};
+
+// used by query() instead of pool.acquire
+Transaction.prototype.acquire = function acquire(cb) {
+	if (this.broken)
+		return cb(createError('EHDBPOOLTXBROKEN', 'transaction connection is closed'));
+	if (this.aborted)
+		return cb(createError('EHDBPOOLTXABORTED', 'transaction aborted: request closed by the client'));
+	if (!this.active)
+		return cb(createError('EHDBPOOLTXFINISHED', 'transaction is already finished'));
+	return cb(null, this.client);
+};
+
+// used by query() instead of pool.destroy: the client is destroyed when the transaction is finished
+Transaction.prototype.destroyClient = function destroyClient(client) {
+	this.broken = true;
+	client.close();
+};
+
+Transaction.prototype.finish = function finish() {
+	this.active = false;
+	if (this.closeCb)
+		this.req.removeListener('close', this.closeCb);
+};
+
+function txStatement(tx, statement, name, cb) {
+	return promisify(cb, function(cb) {
+		if (!_.isString(name) || !name.match(/^[A-Za-z_][A-Za-z0-9_]*$/))
+			return cb(createError('EHDBPOOLPARAMS', 'invalid savepoint name: ' + name));
+
+		tx.acquire(function(err, client) {
+			if (err) return cb(err);
+			client.exec(statement + ' ' + name, function(err) {
+				return cb(err);
+			});
+		});
+	});
+}
+
+// execute a DML for many rows: the statement is prepared once and the rows are sent as array-bind batches
+// usage: pool.execBatch(sql, rows, [options], [cb]), where rows is an array of parameter arrays
+//  * options.chunkSize: number of rows sent in one batch (default 1000)
+//  * options.transaction: if true, all chunks are executed in one transaction, otherwise each chunk is committed separately
+//  * options.isolationLevel, options.req, options.priority: see transaction()
+// the result is {rowCount, chunks}, where chunks[] holds the affected row count of each chunk
+// returns a Promise if cb is omitted
+HDBPool.prototype.execBatch = function execBatch(sql, rows, options, cb) {
+	if (_.isFunction(options)) {
+		cb = options;
+		options = {};
+	}
+	options = options || {};
+
+	var pool = this.pool, me = this;
+
+	return promisify(cb, function(cb) {
+		if (options.transaction) {
+			return me.transaction(_.pick(options, 'isolationLevel', 'req', 'priority'), function(tx, done) {
+				tx.execBatch(sql, rows, options, done);
+			}, cb);
+		}
+
+		acquireClient.call(me, function(err, client) {
+			if (err) {	// error from factory.create
+				me.log('info', 'error while acquiring hdb connection for batch', {event: 'acquireError', error: err});
+				return cb(err);
+			}
+
+			runBatch.call(me, client, sql, rows, options, function(err, result) {
+				if (client.readyState !== 'connected') destroyClient.call(me, client);
+				else releaseClient.call(me, client);
+				return cb(err, result);
+			});
+		}, {priority: options.priority});
+	});
 };
 
+Transaction.prototype.execBatch = function execBatch(sql, rows, options, cb) {
+	if (_.isFunction(options)) {
+		cb = options;
+		options = {};
+	}
+	options = options || {};
+
+	var me = this;
+
+	return promisify(cb, function(cb) {
+		me.acquire(function(err, client) {
+			if (err) return cb(err);
+			runBatch.call(me.hdbPool, client, sql, rows, options, cb);
+		});
+	});
+};
+
+// execute the chunks one after the other on the given client
+// in case of error, err.chunks holds the affected row counts of the chunks executed before the failing one
+function runBatch(client, sql, rows, options, cb) {
+	var user = this.user, env = this.env, me = this;
+	var chunkSize = options.chunkSize || DEFAULT_BATCH_CHUNK_SIZE,
+		chunks = [],
+		result = {rowCount: 0, chunks: []};
+
+	if (!_.isString(sql) || !sql) return cb('sql is missing');
+	if (!_.isArray(rows) || !_.every(rows, _.isArray)) return cb('rows[] must be an array of parameter arrays');
+	if (!_.isNumber(chunkSize) || chunkSize < 1) return cb('invalid chunk size: ' + chunkSize);
+
+	if (!rows.length) return cb(null, result);
+
+	for (var i = 0; i < rows.length; i += chunkSize)
+		chunks.push(rows.slice(i, i + chunkSize));
+
+	var start = +new Date();
+
+	// same events as query(), argsCount is the number of rows
+	function emitQueryEvent(name, extra) {
+		var event = _.extend({
+			env: env,
+			user: user,
+			id: null,
+			sql: sql,
+			mode: 'batch',
+			argsCount: rows.length,
+			attempt: 1,
+			connectionId: client.hdbPoolConnectionId,
+			waitMillis: 0,
+			durationMillis: +new Date() - start
+		}, extra);
+
+		me.emit(name, event);
+		return event;
+	}
+
+	function done(err, result) {
+		var event = emitQueryEvent(err ? 'queryError' : 'queryEnd', err ? {error: err} : {rowCount: result.rowCount});
+
+		if (me.slowQueryLog)	// rows are not logged even if logArgs is set
+			me.slowQueryLog.record(event, null, err ? undefined : result.rowCount);
+
+		return cb(err, result);
+	}
+
+	emitQueryEvent('queryStart');
+
+	var statementCache = getStatementCache.call(this, client);
+
+	statementCache.prepare(sql, function(err, statement) {
+		if (err) {
+			me.log('error', 'error while preparing batch statement', {event: 'prepareError', error: err});
+			return done(err);
+		}
+
+		next(0);
+
+		function next(i) {
+			if (i === chunks.length) {
+				statementCache.done(sql, statement, null);
+				me.log('trace', 'batch executed', {event: 'batchEnd', rowCount: result.rowCount, rows: rows.length, chunks: chunks.length, durationMs: +new Date() - start});
+				return done(null, result);
+			}
+
+			statement.exec(chunks[i], function(err, rowsAffected) {
+				if (err) {
+					me.log('error', 'error while executing batch chunk', {event: 'batchError', chunk: i + 1, chunks: chunks.length, durationMs: +new Date() - start, error: err});
+					statementCache.done(sql, statement, err);
+					if (_.isObject(err)) err.chunks = result.chunks;
+					return done(err);
+				}
+
+				var count = countRowsAffected(rowsAffected);
+				result.chunks.push(count);
+				result.rowCount += count;
+
+				next(i + 1);
+			});
+		}
+	});
+}
+
+// HANA reports the affected rows of a batch per row, -2 (success, no info) is counted as one row
+function countRowsAffected(rowsAffected) {
+	if (!_.isArray(rowsAffected))
+		return rowsAffected || 0;
+
+	return _.reduce(rowsAffected, function(sum, n) {
+		return sum + (n === -2 ? 1 : Math.max(n, 0));
+	}, 0);
+}
+
 // query
-function query(querymode, sql, args, req, streams, cb, type) {
+// tx is optional: if given, the query is executed on the client pinned by the transaction
+function query(querymode, o, cb, tx) {
+	var sql = o.sql, args = o.args, req = o.req || null, type = o.type, streams = o.streams;
+
+	if (isNamedArgs(args)) {	// :name placeholders are rewritten to positional markers
+		var bound = bindNamedParameters(sql, args);
+		if (bound instanceof Error) return cb(bound);
+		sql = bound.sql;
+		args = bound.args;
+	}
+
+	if (querymode === QUERYMODE.STREAM && o.res) {	// response stream passed separately in the options object
+		streams = _.isArray(streams) ? streams : (streams ? [streams] : []);
+		if (_.last(streams) !== o.res)
+			streams = streams.concat([o.res]);
+	}
+	else if (!streams) {
+		streams = o.res;
+	}
+
+	if (_.isArray(streams))
+		streams = streams.slice();	// streams[] is modified later on (e.g. transformLobs), so do not touch the caller's array
+
 	var resp = (streams) ? ((_.isArray(streams)) ? _.last(streams) : streams) : null;
 	var user = this.user, env = this.env, reqQueue = this.reqQueue, pool = this.pool, options = this.options, me = this;
 
+	if (o.layout && !_.contains(COMPACT_LAYOUTS, o.layout))
+		return cb(createError('EHDBPOOLPARAMS', 'invalid layout: ' + o.layout));
+
+	// the date options of the compact layout, rendered like createCompactJSONStringifier()
+	var layoutOptions = _.pick(o, _.keys(dateFormat.DEFAULTS));
+	if (o.layout && !_.isEmpty(layoutOptions)) {
+		var dateOptions = dateFormat.normalize(layoutOptions);
+		if (dateOptions instanceof Error) return cb(dateOptions);
+	}
+
+	if (querymode === QUERYMODE.STREAM) {
+		if (!streams || !_.isArray(streams) || streams.length < 1) return cb('streams[] is missing or empty');
+
+		type = type || 'a'; // arraystream by default
+		type = _.contains(['a', 'array'], type) ? 'createArrayStream' : 'createObjectStream';
+	}
+
 	initRequest(this, req, resp, function(err, id) {
 		if (err) return cb(err);
 
 		var doPrep = _.isArray(args) && args.length;
-		var start,	// when query was ready to start executing, but it might wait for free connection resource
-			execStart	// real execution started
-			;
+		var entry = reqQueue[id];	// shared by all queries of the same request
+
+		// execution context shared with execQuery() and executeQuery()
+		var ctx = {
+			id: id,
+			start: null,	// when query was ready to start executing, but it might wait for free connection resource
+			execStart: null,	// real execution started
+			interrupted: false,	// timeout, abort or request closed by the client
+			closeResultSet: null,	// set by executeQuery() once the result set is opened
+			rowCount: undefined,	// rows streamed by executeQuery(), for the slow query log
+			layout: o.layout,	// rows are returned in the compact JSON layout by execQuery(), see createCompactResult()
+			layoutOptions: layoutOptions
+		};
 
-		cb = cb ? cb : (_.isFunction(args) ? args : function(){ log('warn', 'no callback:', sql) });
+		function ex(o, sqlOrParams, exCb) {
+			if (querymode === QUERYMODE.STREAM || querymode === QUERYMODE.META)
+				executeQuery.call(me, querymode, o, sqlOrParams, ctx, req, resp, streams, type, exCb);
+			else
+				execQuery.call(me, o, sqlOrParams, ctx, req, resp, exCb);
 
-		if (querymode === QUERYMODE.STREAM) {
-			if (!streams || !_.isArray(streams) || streams.length < 1) return cb('streams[] is missing or empty');
+		}
 
-			type = type || 'a'; // arraystream by default
-			type = _.contains(['a', 'array'], type) ? 'createArrayStream' : 'createObjectStream';
+		// inside a transaction the client is released only when the transaction is finished
+		var acquire = tx ? _.bind(tx.acquire, tx) : _.bind(acquireClient, me),
+			release = tx ? function() {} : _.bind(releaseClient, me),
+			destroy = tx ? _.bind(tx.destroyClient, tx) : _.bind(destroyClient, me);
+
+		var timeout = _.isUndefined(o.timeout) ? options.queryTimeoutMillis : o.timeout,
+			signal = o.signal,
+			qid = ++queryCounter,
+			timer = null,
+			client = null,
+			replied = false,	// the caller has been called back
+			disposed = false,	// the client has been released or destroyed
+			cancelTimer = null,
+			closeCb = null,
+			attempts = 0,
+			retryTimer = null,
+			idempotent = !tx && (_.isUndefined(o.idempotent) ? isReadQuery(querymode, sql) : !!o.idempotent);
+
+		// record the state of the query in the request queue: waiting -> running -> (cancelling) -> removed once the client is given back
+		function setState(state) {
+			if (state) entry.queries[qid] = state;
+			else delete entry.queries[qid];
 		}
 
-		function ex(o, sqlOrParams, exCb) {
-			if (querymode === QUERYMODE.STREAM || querymode === QUERYMODE.META)
-				executeQuery.call(me, querymode, o, sqlOrParams, id, req, resp, streams, type, exCb);
-			else
-				execQuery.call(me, o, sqlOrParams, id, req, resp, exCb);
+		// without an HTTP request the entry belongs to this query only, and it is removed once the query is done
+		// (the entries of HTTP requests are removed when the request ends or it is closed, see initRequest)
+		function removeEntry() {
+			if (!req && replied && (disposed || !client) && _.isEmpty(entry.queries))
+				delete reqQueue[id];
+		}
+
+		// call back the caller only once
+		function reply(err, rows) {
+			if (replied) return;
+			replied = true;
+
+			clearTimeout(timer);
+			clearTimeout(retryTimer);
+			if (signal && signal.removeEventListener)
+				signal.removeEventListener('abort', onAbort);
 
+			// de-register the close-listener. This is particularly crucial in case of socket.io connection.
+			if (closeCb)
+				req.removeListener('close', closeCb);
+
+			var event = emitQueryEvent(err ? 'queryError' : 'queryEnd', err ? {error: err, interrupted: ctx.interrupted} : {interrupted: ctx.interrupted});
+
+			if (me.slowQueryLog && ctx.execStart)	// only executed queries are logged
+				me.slowQueryLog.record(event, args, querymode === QUERYMODE.EXEC ? countRows(rows) : ctx.rowCount);
+
+			removeEntry();
+			return cb(err, rows);
 		}
 
-		start = +new Date();
+		// timings are measured from the first attempt
+		function emitQueryEvent(name, extra) {
+			var now = +new Date();
+
+			var event = _.extend({
+				env: env,
+				user: user,
+				id: id,
+				sql: sql,
+				mode: QUERYMODE_NAMES[querymode].toLowerCase(),
+				argsCount: _.isArray(args) ? args.length : 0,
+				attempt: attempts,
+				connectionId: client ? client.hdbPoolConnectionId : undefined,
+				waitMillis: ctx.start ? (ctx.execStart || now) - ctx.start : 0,
+				durationMillis: ctx.execStart ? now - ctx.execStart : 0
+			}, extra);
+
+			me.emit(name, event);
+			return event;
+		}
 
-		pool.acquire(function(err, client) {
-			if (err) {	// error from factory.create
-				log('info', user + ' ' + id + ' ' + env + ' - error while creating hdb connection', err.message || err);
-				return cb(err);
+		// give back the client to the pool only once
+		function dispose(destroyClient) {
+			if (disposed || !client) return;
+			disposed = true;
+
+			setState(null);
+			clearTimeout(cancelTimer);
+
+			if (destroyClient) {
+				me.log('info', 'hdb client destroyed after interrupted query', {requestId: id, event: 'destroy', connectionId: client.hdbPoolConnectionId});
+				destroy(client);
 			}
+			else {
+				release(client);
+			}
+			me.log('trace', 'hdb client given back', {requestId: id, event: 'release', available: pool.availableObjectsCount()});
+			removeEntry();
+		}
+
+		// stop the query on timeout, abort or when the client drops the request:
+		//  * the caller is called back immediately (err is null if the request is closed, since the error cannot be sent back anyway)
+		//  * the running statement is cancelled on the server, or the result set is closed in case of streaming
+		//  * the client is given back to the pool only when it is not busy anymore, or it is destroyed if it cannot be stopped
+		function interrupt(err, reason) {
+			if (replied || ctx.interrupted) return;
+			ctx.interrupted = true;
 
-			// handle the case when client drops a request which is in the waiting queue
-			if (!reqQueue[id]) {
-				log('info', user + ' ' + id + ' ' + env + ' - request is already closed, no resource acquired')
-				pool.release(client);
-				log('trace', '# of free resources of ' + user + ' on ' + env + ': ' + pool.availableObjectsCount());
-				return cb(null);	// error should not be sent back to the client since connection is already dropped
+			me.log('warn', reason, {requestId: id, event: 'queryInterrupted', code: err ? err.code : undefined});
+			reply(err);
+
+			if (!client) return;	// still waiting for a free resource, it is released as soon as it is acquired
+
+			setState('cancelling');
+
+			if (ctx.closeResultSet) {
+				return ctx.closeResultSet(function(closeErr) {
+					if (closeErr) me.log('info', 'unable to close result set', {requestId: id, event: 'closeResultSetError', error: closeErr});
+					dispose(!!closeErr);
+				});
 			}
 
-			var closeCb;
-			// handle the case when client drops a request which is already acquired resource
-			if (req) {
-				closeCb = function() {
-					log('trace', user + ' ' + id + ' ' + env + ' - request closed by the client, resource released')
-					pool.release(client);
-					log('trace', '# of free resources of ' + user + ' on ' + env + ': ' + pool.availableObjectsCount());
-					return cb(null);	// error should not be sent back to the client since connection is already dropped
+			cancelStatement.call(me, client, function(cancelErr) {
+				if (disposed) return;	// statement has finished in the meantime
+
+				if (cancelErr) {
+					me.log('info', 'unable to cancel statement', {requestId: id, event: 'cancelError', error: cancelErr});
+					return dispose(true);
 				}
 
-				req.on('close', closeCb);
+				// the cancelled statement returns with an error and releases the client, unless it hangs
+				cancelTimer = setTimeout(function() {
+					dispose(true);
+				}, CANCEL_GRACE_MILLIS);
+			});
+		}
+
+		function onAbort() {
+			var err = createError('EHDBPOOLABORT', 'query aborted');
+			err.reason = signal.reason;
+			interrupt(err, err.message);
+		}
+
+		if (signal) {
+			if (signal.aborted) return onAbort();
+			signal.addEventListener('abort', onAbort);
+		}
+
+		// handle the case when client drops the request, either in the waiting queue or while the query is running
+		if (req) {
+			closeCb = function() {
+				interrupt(null, 'request closed by the client');	// error should not be sent back to the client since connection is already dropped
+			};
+			req.on('close', closeCb);
+		}
+
+		ctx.start = +new Date();
+		attempt();
+
+		// acquire a client and execute the query, called again if an idempotent query failed with a transient error
+		function attempt() {
+			if (ctx.interrupted) return;	// interrupted while waiting for the retry
+
+			attempts++;
+			client = null;
+			disposed = false;
+			ctx.closeResultSet = null;
+
+			setState('waiting');
+			acquire(onAcquire, {priority: o.priority, id: id});
+		}
+
+		function onAcquire(err, acquiredClient) {
+			if (err) {	// error from factory.create or from a finished transaction
+				me.log('info', 'error while acquiring hdb connection', {requestId: id, event: 'acquireError', error: err});
+				setState(null);
+				return reply(err);
+			}
+
+			client = acquiredClient;
+
+			// handle the case when the query was interrupted while waiting for a free resource
+			if (ctx.interrupted || !entry.open) {
+				me.log('info', 'request is already closed, resource released', {requestId: id, event: 'requestClosed'});
+				dispose(false);
+				return reply(null);	// error should not be sent back to the client since connection is already dropped
 			}
 
-			log('trace', 'resource acquired for ' + user + ' ' +  id + ' ' + env);
-			log('trace', '# of waiting requests of ' + user + ' on ' + env + ': ' + pool.waitingClientsCount());
-			log('trace', '# of free resources of ' + user + ' on ' + env + ': ' + pool.availableObjectsCount());
+			setState('running');
+
+			me.log('trace', 'resource acquired', {
+				requestId: id,
+				event: 'acquire',
+				connectionId: client.hdbPoolConnectionId,
+				waiting: pool.waitingClientsCount(),
+				available: pool.availableObjectsCount(),
+				waitMs: +new Date() - ctx.start
+			});
 
-			execStart = +new Date();
+			ctx.execStart = +new Date();
+			emitQueryEvent('queryStart');
+
+			if (timeout > 0) {
+				timer = setTimeout(function() {
+					interrupt(createError('EHDBPOOLTIMEOUT', 'query timed out after ' + timeout + ' ms'), 'query timed out');
+				}, timeout);
+			}
 
 			// save sessionCookie into express-session
 			storeIntoSession(req, env, options.user, options.sessionCookie);
@@ -327,48 +1025,118 @@ function query(querymode, sql, args, req, streams, cb, type) {
 			//console.log('---------');
 
 			var exCb = function(err, rows) {
-				if (err) log('error', user + ' ' + id + ' ' + env + ' - Error while execution', err);
-				else log('trace', user + ' ' + id + ' ' + env + ' - request served');
-				pool.release(client);
-				log('trace', '# of free resources of ' + user + ' on ' + env + ': ' + pool.availableObjectsCount());
-
-				// resource is already released, so we can de-register the close-listener. This is particularly crucial in case of socket.io connection.
-				if (closeCb)
-					req.removeListener('close', closeCb);
+				if (err && canRetry(err)) {
+					var delay = me.retryPolicy.delay(attempts);
+					me.log('warn', 'query attempt failed, retrying', {requestId: id, event: 'queryRetry', attempt: attempts, maxAttempts: me.retryPolicy.maxAttempts, delayMs: delay, error: err});
+					me.retryStats.query++;
+					clearTimeout(timer);
+					dispose(client.readyState !== 'connected');
+					client = null;	// nothing to cancel while waiting for the retry
+					retryTimer = setTimeout(attempt, delay);
+					return;
+				}
 
-				return cb(err, rows);
+				if (err && !ctx.interrupted) me.log('error', 'error while executing query', {requestId: id, event: 'queryError', durationMs: +new Date() - ctx.execStart, error: err});
+				else me.log('trace', 'request served', {requestId: id, event: 'queryEnd', durationMs: +new Date() - ctx.execStart});
+				dispose(false);
+				return reply(err, rows);
 			};
 
 			//setTimeout(function() {
 			if (doPrep) {
-				client.prepare(sql, function(err, s) {
+				var statementCache = getStatementCache.call(me, client);
+
+				statementCache.prepare(sql, function(err, s) {
 					if (err) {
-						pool.release(client);
-						log('error', user + ' ' + id + ' ' + env + ' - Error while preparing statement', err);
-						log('trace', '# of free resources of ' + user + ' on ' + env + ': ' + pool.availableObjectsCount());
-						return cb(err);
+						me.log('error', 'error while preparing statement', {requestId: id, event: 'prepareError', error: err});
+						return exCb(err);
 					}
-					ex(s, args, exCb);
+
+					var stmtCb = function(err, rows) {
+						statementCache.done(sql, s, err);
+						return exCb(err, rows);
+					};
+
+					if (ctx.interrupted) return stmtCb(null);
+					ex(s, args, stmtCb);
 				});
 			} else {
 				ex(client, sql, exCb);
 			}
 			//}, 20000);
-		});
+		}
+
+		// only read queries are retried, and only until the result set is opened (no data has been sent yet)
+		function canRetry(err) {
+			return idempotent && !ctx.interrupted && !ctx.closeResultSet &&
+				attempts < me.retryPolicy.maxAttempts && me.retryPolicy.isRetryable(err);
+		}
+	});
+}
+
+// number of rows returned by a SELECT, or affected by a DML
+function countRows(rows) {
+	if (_.isArray(rows)) return rows.length;
+	if (_.isNumber(rows)) return rows;
+	return undefined;
+}
+
+// queries which can be executed again without side effects
+function isReadQuery(querymode, sql) {
+	if (querymode === QUERYMODE.META) return true;
+	if (!_.isString(sql)) return false;
+
+	sql = sql.replace(/^(\s*(--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/))*/, '');	// leading comments
+	return /^\s*(SELECT|WITH)\b/i.test(sql);
+}
+
+function isNamedArgs(args) {
+	return _.isObject(args) && (Object.getPrototypeOf(args) === Object.prototype || Object.getPrototypeOf(args) === null);
+}
+
+// returns {sql, args} with the values ordered as the placeholders, or an error if the keys do not match the placeholders
+function bindNamedParameters(sql, params) {
+	if (!_.isString(sql)) return createError('EHDBPOOLPARAMS', 'sql is missing');
+
+	var parsed = namedParameters.parse(sql);
+
+	if (parsed.positional > 0 && parsed.names.length > 0)
+		return createError('EHDBPOOLPARAMS', 'named and positional parameters cannot be mixed');
+	if (parsed.positional > 0)
+		return createError('EHDBPOOLPARAMS', 'positional parameters require an array of arguments');
+
+	var missing = _.filter(_.uniq(parsed.names), function(name) {
+		return !_.has(params, name);
 	});
+	var extra = _.difference(_.keys(params), parsed.names);
+
+	if (missing.length)
+		return createError('EHDBPOOLPARAMS', 'missing value for named parameter(s): ' + missing.join(', '));
+	if (extra.length)
+		return createError('EHDBPOOLPARAMS', 'unknown named parameter(s): ' + extra.join(', '));
+
+	return {
+		sql: parsed.sql,
+		args: _.map(parsed.names, function(name) {
+			return params[name];
+		})
+	};
 }
 
-function execQuery(statement, sqlOrParams, id, req, resp, exCb) {
-	var user = this.user, env = this.env, options = this.options, start = this.start, execStart = this.execStart;
+function execQuery(statement, sqlOrParams, ctx, req, resp, exCb) {
+	var options = this.options, id = ctx.id;
 
-	log('trace', user + ' ' + id + ' ' + env +  '- start exec...');
+	this.log('trace', 'start exec', {requestId: id, event: 'exec'});
 
-	statement.exec(sqlOrParams, function(err, rows, dummyRows, tableRows) {
+	// the metadata is needed for the compact layout, and the rows are arrays so that the columns of the same name are kept, see createCompactResult()
+	statement.exec(sqlOrParams, ctx.layout ? {rowsWithMetadata: true, rowsAsArray: true} : {}, function(err, rows, dummyRows, tableRows) {
 		if (err) {
 			if (err) return exCb(err);
 		}
 
-		setupRespHeader(options, start, execStart, resp);
+		if (ctx.interrupted) return exCb(null);	// response is not needed anymore
+
+		setupRespHeader(options, ctx.start, ctx.execStart, resp);
 
 		var exception = null;
 		if (dummyRows && dummyRows[0].errmsg) {
@@ -384,6 +1152,9 @@ function execQuery(statement, sqlOrParams, id, req, resp, exCb) {
 			}
 		}
 
+		if (!exception && ctx.layout && _.isArray(rows) && rows.metadata)
+			rows = createCompactResult(rows.metadata, rows, ctx.layout, ctx.layoutOptions);
+
 		if (!exception && resp) {
 			if (rows) resp.send(JSON.stringify(rows));
 			else resp.send('');
@@ -393,18 +1164,42 @@ function execQuery(statement, sqlOrParams, id, req, resp, exCb) {
 	});
 }
 
-function executeQuery(querymode, statement, sqlOrParams, id, req, resp, streams, type, exCb) {
-	var user = this.user, env = this.env, options = this.options, start = this.start, execStart = this.execStart;
-	log('trace', user + ' ' + id + ' ' + env + ' - start executing...');
+function executeQuery(querymode, statement, sqlOrParams, ctx, req, resp, streams, type, exCb) {
+	var options = this.options, id = ctx.id;
+	this.log('trace', 'start executing', {requestId: id, event: 'execute'});
 
-	statement.execute(sqlOrParams, function(err, rs) {
+	// the stringifiers reading the rows by index get row arrays (see createCompactJSONStringifier)
+	// only in case of the array stream, since a single row array of the object stream would be taken for a chunk of rows
+	var rowsAsArray = type === 'createArrayStream' && _.isFunction(streams[0]) && streams[0].rowsAsArray === true;
+
+	statement.execute(sqlOrParams, rowsAsArray ? {rowsAsArray: true} : {}, function(err, rs) {
 		if (err) return exCb(err);
 
-		setupRespHeader(options, start, execStart, resp);
+		var closing = false,
+			tail = null;	// the stream piped into the response
+
+		// close the result set only once, and stop writing into the response in case of interrupted query
+		ctx.closeResultSet = function(cb) {
+			if (ctx.interrupted && tail)
+				tail.unpipe();
+
+			if (closing || rs.closed) return cb && cb(null);
+			closing = true;
+			rs.close(cb);
+		};
+
+		// the query was interrupted while the statement was executing
+		if (ctx.interrupted) {
+			return ctx.closeResultSet(function(err) {
+				exCb(err);
+			});
+		}
+
+		setupRespHeader(options, ctx.start, ctx.execStart, resp);
 
 		if (querymode == QUERYMODE.META) {
 			var metadata = rs.metadata;
-			rs.close();
+			ctx.closeResultSet();
 
 			if (resp) {
 				resp.send(JSON.stringify(metadata))
@@ -418,9 +1213,13 @@ function executeQuery(querymode, statement, sqlOrParams, id, req, resp, streams,
 
 		function onend() {
 			//log('trace', user + ' ' + id + ' ' + env + ' - on end');
-			if (!rs.closed) rs.close();
+			ctx.closeResultSet();
 		}
 
+		ctx.rowCount = 0;
+		stream.on('data', function(chunk) {	// the stream is piped below, so this listener does not change its flow
+			ctx.rowCount += type === 'createArrayStream' ? chunk.length : 1;
+		});
 		stream.on('error', exCb);
 		stream.on('end', onend);
 		stream.on('finish', function() {
@@ -441,15 +1240,14 @@ function executeQuery(querymode, statement, sqlOrParams, id, req, resp, streams,
 
 		var s = stream;
 
-		// handle the case when client drops the connection - make sure to close the resultset
-		if (req)
-			req.on('close', onend);
-
 		_.each(streams, function(str, i) {
 			if (_.isFunction(str)) {
 				str = str.call(null, rs.metadata);
 			}
 
+			if (i === streams.length-1)
+				tail = s;
+
 			s = s.pipe(str);
 
 			s.on('error', exCb);
@@ -461,6 +1259,354 @@ function executeQuery(querymode, statement, sqlOrParams, id, req, resp, streams,
 	});
 }
 
+// acquire a client from the pool
+// request: {priority, id}, where id is the id of the request waiting for the client (see getQueuePositions)
+// if active validation is enabled (validateOnBorrow or validationIdleMillis), the client is pinged before it is handed out,
+// and it is destroyed and replaced by another one if the ping fails
+// the ping is not done by the validateAsync hook of generic-pool, since it may hand out the same client twice while validating
+function acquireClient(cb, request) {
+	var user = this.user, env = this.env, pool = this.pool, options = this.options, me = this;
+	var priority = (request && request.priority) || DEFAULT_PRIORITY,
+		start = +new Date(),
+		pending = {cancelled: false, cb: cb, id: request && request.id, priority: priority, start: start};	// cancelled by close() if the pool cannot be closed gracefully
+
+	if (this.closing) return cb(createError('EHDBPOOLCLOSED', 'pool is closed'));
+	if (!_.has(PRIORITIES, priority)) return cb(createError('EHDBPOOLPARAMS', 'invalid priority: ' + priority));
+
+	// normal and low priority callers have to wait if the connections not reserved for high priority are busy
+	var shared = priority !== 'high' && options.highPriorityConnections > 0,
+		sharedFull = shared && (this.sharedQueue.length > 0 || countShared.call(this) >= sharedLimit(options));
+
+	// fail fast instead of queueing if all connections are busy and too many callers are waiting already
+	if (_.isNumber(options.maxWaitingClients) && (sharedFull || (pool.availableObjectsCount() === 0 && pool.getPoolSize() >= pool.getMaxPoolSize())) &&
+		_.where(this.pendingAcquires, {waiting: true}).length >= options.maxWaitingClients) {
+		return cb(exhausted.call(this, 'queueFull', 'pool is exhausted, ' + options.maxWaitingClients + ' callers are waiting already', 0, priority));
+	}
+
+	this.pendingAcquires.push(pending);
+
+	// the callback of generic-pool cannot be removed from its queue, the client it gets later on is released in done()
+	pending.timer = options.acquireTimeoutMillis > 0 ? setTimeout(function() {
+		if (pending.cancelled) return;	// cancelled by close() already
+		pending.cancelled = true;
+		me.pendingAcquires = _.without(me.pendingAcquires, pending);
+		cb(exhausted.call(me, 'timeout', 'pool is exhausted, no connection available in ' + options.acquireTimeoutMillis + ' ms', +new Date() - start, priority));
+		dispatchShared.call(me);
+	}, options.acquireTimeoutMillis) : null;
+
+	function done(err, client) {
+		clearTimeout(pending.timer);
+		me.pendingAcquires = _.without(me.pendingAcquires, pending);
+
+		if (pending.cancelled) {	// the caller has been called back already
+			if (client) releaseClient.call(me, client);
+			return;
+		}
+
+		if (err) {
+			dispatchShared.call(me);
+			return cb(err);
+		}
+
+		client.hdbPoolShared = shared;
+		me.clientsInUse.push(client);
+		me.emit('acquire', {env: env, user: user, connectionId: client.hdbPoolConnectionId, priority: priority, waitMillis: +new Date() - start});
+		return cb(null, client);
+	}
+
+	function tryAcquire() {
+		pending.waiting = true;
+		pool.acquire(onAcquire, PRIORITIES[priority]);
+	}
+
+	function onAcquire(err, client) {
+		pending.waiting = false;
+		if (err) return done(err);
+
+		var lastUsed = client.hdbPoolLastUsed;	// when the client was released the last time
+
+		var validate = lastUsed && (options.validateOnBorrow ||
+			(options.validationIdleMillis > 0 && +new Date() - lastUsed > options.validationIdleMillis));
+
+		if (!validate) return done(null, client);
+
+		pingClient(client, options, function(err) {
+			if (!err) return done(null, client);
+
+			me.log('info', 'hdb client failed validation, replacing it', {event: 'validationError', connectionId: client.hdbPoolConnectionId, error: err});
+			if (client.readyState === 'connected') client.destroy();	// stop waiting for the hung connection
+
+			pool.destroy(client);
+
+			if (me.closing) return done(createError('EHDBPOOLCLOSED', 'pool is closed'));
+			if (pending.cancelled) return done(null);	// timed out in the meantime, the caller has been called back already
+
+			// acquired again with the priority of the caller, behind the callers of the same priority waiting already
+			tryAcquire();
+		});
+	}
+
+	if (!sharedFull) return tryAcquire();
+
+	// wait for a shared connection, the queue is ordered by priority
+	pending.waiting = true;
+	pending.queued = true;
+	pending.acquire = tryAcquire;
+
+	var i = _.findIndex(this.sharedQueue, function(other) {
+		return PRIORITIES[other.priority] > PRIORITIES[priority];
+	});
+	this.sharedQueue.splice(i < 0 ? this.sharedQueue.length : i, 0, pending);
+	dispatchShared.call(this);
+}
+
+// max number of connections used by normal and low priority callers
+function sharedLimit(options) {
+	return Math.max((options.maxPoolSize || 1) - options.highPriorityConnections, 1);	// at least one connection is shared
+}
+
+// number of connections used or being acquired by normal and low priority callers
+function countShared() {
+	var acquiring = _.filter(this.pendingAcquires, function(pending) {
+		return pending.priority !== 'high' && !pending.queued;
+	});
+
+	return acquiring.length + _.where(this.clientsInUse, {hdbPoolShared: true}).length;
+}
+
+// start the acquisition of the next normal or low priority callers if shared connections are free
+function dispatchShared() {
+	if (!(this.options.highPriorityConnections > 0)) return;
+
+	this.sharedQueue = _.reject(this.sharedQueue, function(pending) {
+		return pending.cancelled || !_.contains(this.pendingAcquires, pending);	// timed out or cancelled by close()
+	}, this);
+
+	while (this.sharedQueue.length && countShared.call(this) < sharedLimit(this.options)) {
+		var pending = this.sharedQueue.shift();
+		pending.queued = false;
+		pending.acquire();
+	}
+}
+
+// error of the callers which could not get a client in time, mapped to 503 by errorHandler
+function exhausted(reason, message, waitMillis, priority) {
+	var err = createError('EHDBPOOLEXHAUSTED', message);
+	err.statusCode = 503;
+	err.retryAfter = this.options.retryAfterSeconds || DEFAULT_RETRY_AFTER_SECONDS;
+
+	this.log('warn', message, {event: 'exhausted', reason: reason, waitMs: waitMillis, waiting: this.pool.waitingClientsCount()});
+	this.emit('exhausted', {env: this.env, user: this.user, reason: reason, priority: priority, waitMillis: waitMillis});
+
+	return err;
+}
+
+// give back the client to the pool
+function releaseClient(client) {
+	if (client.hdbPoolDestroyed) return;	// e.g. destroyed by close()
+
+	client.hdbPoolLastUsed = +new Date();	// idle time is measured from here, see validationIdleMillis
+	this.clientsInUse = _.without(this.clientsInUse, client);
+	this.emit('release', {env: this.env, user: this.user, connectionId: client.hdbPoolConnectionId});
+	this.pool.release(client);
+	dispatchShared.call(this);
+}
+
+// remove the client from the pool, and close its connection
+function destroyClient(client) {
+	if (client.hdbPoolDestroyed) return;
+	this.pool.destroy(client);
+}
+
+function pingClient(client, options, cb) {
+	var timeoutMillis = options.validationTimeoutMillis || DEFAULT_VALIDATION_TIMEOUT_MILLIS;
+
+	var done = _.once(function(err) {
+		clearTimeout(timer);
+		return cb(err);
+	});
+
+	var timer = setTimeout(function() {
+		done(createError('EHDBPOOLTIMEOUT', 'validation query timed out after ' + timeoutMillis + ' ms'));
+	}, timeoutMillis);
+
+	if (client.readyState !== 'connected')
+		return done(createError('EHDBPOOLINVALID', 'hdb client is not connected'));
+
+	client.exec(options.validationQuery || DEFAULT_VALIDATION_QUERY, function(err) {
+		done(err);
+	});
+}
+
+// prepared statements are cached per client
+function getStatementCache(client) {
+	if (!client.hdbPoolStatementCache) {
+		var size = _.isUndefined(this.options.statementCacheSize) ? DEFAULT_STATEMENT_CACHE_SIZE : this.options.statementCacheSize;
+		client.hdbPoolStatementCache = new StatementCache(client, size, this.statementCacheStats);
+	}
+	return client.hdbPoolStatementCache;
+}
+
+// hits, misses and evictions of the prepared statement caches, and the number of currently cached statements
+HDBPool.prototype.getStatementCacheStats = function getStatementCacheStats() {
+	return _.clone(this.statementCacheStats);
+};
+
+// stop accepting new queries, wait for the in-flight ones and destroy all clients
+// usage: pool.close([options], [cb]), where options is {timeout} or the timeout in milliseconds
+// when the timeout is reached, the callers still waiting for a client get an EHDBPOOLCLOSED error,
+// and the clients still in use are destroyed, which ends their HANA sessions and rolls back their open transactions
+// returns a Promise if cb is omitted
+HDBPool.prototype.close = function close(options, cb) {
+	if (_.isFunction(options)) {
+		cb = options;
+		options = {};
+	}
+	if (_.isNumber(options))
+		options = {timeout: options};
+	options = options || {};
+
+	var me = this;
+
+	return promisify(cb, function(cb) {
+		closePool.call(me, options, cb);
+	});
+};
+
+function closePool(closeOptions, cb) {
+	var pool = this.pool, options = this.options, me = this;
+	var timeout = _.isUndefined(closeOptions.timeout) ? DEFAULT_CLOSE_TIMEOUT_MILLIS : closeOptions.timeout;
+
+	if (this.closeCallbacks) {	// close() has been called already
+		if (this.closed) return cb();
+		this.closeCallbacks.push(cb);
+		return;
+	}
+
+	this.closing = true;
+	this.closeCallbacks = [cb];
+
+	this.log('info', 'closing pool', {event: 'close'});
+
+	this.poolFactory.min = 0;	// prevent re-creating resources, generic-pool reads the min of the factory when clients are destroyed
+
+	var checkTimer = null,
+		deadlineTimer = setTimeout(forceClose, timeout);
+
+	check();
+
+	// wait for the in-flight queries, transactions and batches
+	function check() {
+		if (pool.inUseObjectsCount() === 0 && me.pendingAcquires.length === 0)
+			return finish();
+		checkTimer = setTimeout(check, 100);
+	}
+
+	function forceClose() {
+		me.log('warn', 'pool could not be closed in time, destroying clients in use', {event: 'closeTimeout', timeoutMs: timeout, clientsInUse: me.clientsInUse.length});
+
+		_.each(me.pendingAcquires, function(pending) {
+			clearTimeout(pending.timer);
+			pending.cancelled = true;
+			pending.cb(createError('EHDBPOOLCLOSED', 'pool is closed'));
+		});
+		me.pendingAcquires = [];
+
+		_.each(me.clientsInUse, function(client) {
+			if (client.readyState === 'connected') client.destroy();	// do not wait for the running statement
+			destroyClient.call(me, client);
+		});
+		me.clientsInUse = [];
+
+		finish();
+	}
+
+	function finish() {
+		clearTimeout(checkTimer);
+		clearTimeout(deadlineTimer);
+
+		pool.destroyAllNow();
+
+		if (options.metrics)
+			(options.metrics === true ? metrics.registry : options.metrics).unregister(me);
+
+		var done = function() {
+			me.closed = true;
+			me.log('info', 'pool closed', {event: 'closed'});
+			_.each(me.closeCallbacks, function(callback) {
+				callback();
+			});
+		};
+
+		if (me.slowQueryLog) return me.slowQueryLog.close(done);
+		done();
+	}
+}
+
+// number of retried connection attempts and queries
+HDBPool.prototype.getRetryStats = function getRetryStats() {
+	return _.clone(this.retryStats);
+};
+
+// callers waiting for a free connection per priority, in the order they are served: {high: [{id, waitMillis}], normal: [...], low: [...]}
+// id is the request id of the query, and undefined for transactions and batches
+HDBPool.prototype.getQueuePositions = function getQueuePositions() {
+	var now = +new Date(),
+		waiting = _.where(this.pendingAcquires, {waiting: true});
+
+	return _.mapObject(PRIORITIES, function(value, priority) {
+		return _.map(_.where(waiting, {priority: priority}), function(pending) {
+			return {id: pending.id, waitMillis: now - pending.start};
+		});
+	});
+};
+
+// connect options of the username + password or the sessionCookie authentication, or null if neither is available
+// a SAML assertion is not included, since it can be used only once
+function credentials(options) {
+	if (options.user && options.password)
+		return {user: options.user, password: options.password, method: 'password'};
+
+	if (options.user && options.sessionCookie) {
+		return {
+			user: options.user,
+			// workaround to make node-hdb send SCRAMSHA256 response in addition to SAML.
+			// If password is missing, invalid session cookie will result in "1033 error while parsing protocol"
+			password: crypto.randomBytes(1),
+			sessionCookie: new Buffer(options.sessionCookie, 'binary'),
+			method: 'sessionCookie'
+		};
+	}
+
+	return null;
+}
+
+// cancel the statement running on the given client
+// HANA can cancel a statement only from another connection, so a short-lived connection is opened for sending the cancel request
+// it is a plain connection with the credentials of the pool (the sessionCookie in case of SAML), without schema and session setup
+function cancelStatement(client, cb) {
+	var connectionId = client.hdbPoolConnectionId,
+		options = this.options,
+		connOpts = credentials(options);
+
+	if (!connectionId) return cb('connection id is unknown');
+	if (!connOpts) return cb('no credentials for the cancel connection');
+
+	var cancelClient = hdb.createClient({host: options.host, port: options.port});
+
+	var done = _.once(function(err) {
+		cancelClient.end();
+		return cb(err);
+	});
+
+	cancelClient.on('error', done);
+	cancelClient.connect(connOpts, function(err) {
+		if (err) return done(err);
+
+		cancelClient.exec('ALTER SYSTEM CANCEL SESSION \'' + connectionId + '\'', done);
+	});
+}
+
 function setupRespHeader(options, start, execStart, resp) {
 	if (resp) {
 		var headerPrefix = options.resphPrefix || '';
@@ -469,64 +1615,365 @@ function setupRespHeader(options, start, execStart, resp) {
 	}
 }
 
-function createCsvStringifier(metadata) {
-	return createDsvStringifier(metadata, ',');
-}
+// Express error handler responding 503 with Retry-After if the pool is exhausted, e.g. app.use(hdbPool.errorHandler)
+function errorHandler(err, req, res, next) {
+	if (!err || err.code !== 'EHDBPOOLEXHAUSTED' || res.headersSent) return next(err);
 
-function createSsvStringifier(metadata) {
-	return createDsvStringifier(metadata, ';');
+	res.setHeader('Retry-After', String(err.retryAfter));
+	res.status(err.statusCode).send(err.message);
 }
 
-function createDsvStringifier(metadata, sep) {
-	if (!sep) sep = DSV_SEPARATOR;
+function createCsvStringifier(metadata, options) {
+	return createSeparatedStringifier(metadata, options, ',');
+}
 
-	//metadata.forEach(logger.warn);
+function createSsvStringifier(metadata, options) {
+	return createSeparatedStringifier(metadata, options, ';');
+}
 
-	var header = metadata.map(function getName(column) {
-    	return column.columnDisplayName;
-	}).join(sep) + DSV_DELIMITER;
+// DSV with a fixed separator, called with (metadata, options) or with the options only like createDsvStringifier
+function createSeparatedStringifier(metadata, options, separator) {
+	if (!_.isArray(metadata)) return createDsvStringifier(_.extend({}, metadata, {separator: separator}));
+	return createDsvStringifier(metadata, _.extend({}, options, {separator: separator}));
+}
 
-	var functionBody = metadata.reduce(function addLine(body, column) {
+// delimiter-separated values, options: {separator, lineEnding, nullValue, header, quote, bom}, see DSV_DEFAULTS,
+// the date options {dateFormat, timeFormat, timestampFormat, timezone, fractionalDigits, epochMillis}, see dateFormat.js,
+// and the number options {decimalSeparator, thousandsSeparator, fixedScale}, see numberFormat.js
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createDsvStringifier({separator: '\t'})
+function createDsvStringifier(metadata, options) {
+	if (!_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createDsvStringifier(metadata, factoryOptions);
+		};
+	}
 
-		column.dataTypeName = hdbTypeCodes[column.dataType+''];
+	if (_.isString(options)) options = {separator: options};	// (metadata, separator) of the earlier versions
+	options = _.defaults({}, options, DSV_DEFAULTS);
 
-		var val = 'ifnull(row[\''+ ((column.columnDisplayName === "''") ? 'UnknownColumn' : column.columnDisplayName )+'\'])';
+	if (!_.contains(['minimal', 'all'], options.quote))
+		throw createError('EHDBPOOLPARAMS', 'invalid quote option: ' + options.quote);
 
-		if (DSV_QUOTE[column.dataTypeName]) {
-			val = 'dsvquote('+val+', \''+sep+'\')';
-		}
+	var dateOptions = dateFormat.normalize(options);
+	if (dateOptions instanceof Error) throw dateOptions;
+	var numberOptions = numberFormat.normalize(options);
+	if (numberOptions instanceof Error) throw numberOptions;
 
-		if (DSV_FORMAT[column.dataTypeName]) {
-			val = 'DSV_FORMAT.'+column.dataTypeName+'('+val+')';
-		}
+	var sep = options.separator,
+		nullValue = options.nullValue,
+		quoteAll = options.quote === 'all';
 
-		body += 'line.push(' + val + ')';
+	function quote(v) {
+		return dsvquote(v, sep, quoteAll);
+	}
 
-		if (column.dataType === 13) {
-			body += '.toString(\'hex\')';
+	var header = metadata.map(function getName(column) {
+		return quote(column.columnDisplayName);
+	}).join(sep) + options.lineEnding;
+
+	// the column names are only used as property names, the row function is not generated from them
+	// (display names may contain quotes or backslashes, and they come from the SQL of the caller)
+	var names = _.pluck(metadata, 'columnDisplayName'),
+		formatters = metadata.map(function getFormatter(column) {
+			column.dataTypeName = hdbTypeCodes[column.dataType+''];
+			return createDsvFormatter(column, quote, quoteAll || DSV_QUOTE[column.dataTypeName], dateOptions, numberOptions);
+		}),
+		count = names.length;
+
+	function stringify(row) {
+		var line = '', v, format;
+
+		for (var i = 0; i < count; i++) {
+			v = row[names[i]];
+			format = formatters[i];
+			if (i > 0) line += sep;
+			if (v === null) line += nullValue;
+			else if (v !== undefined) line += format ? format(v) : v;	// missing values are left empty
 		}
-		body += '\n';
-		return body;
-	}, 'functionBody = function(row) { var line = [];\n') + 'return line.join("' + sep + '"); }';
 
-	//log('debug', functionBody);
-
-	functionBody = eval(functionBody);
+		return line;
+	}
 
 	return new hdb.Stringifier({
-		header: header,
+		header: (options.bom ? UTF8_BOM : '') + (options.header ? header : ''),
 		footer: '',
-		seperator: DSV_DELIMITER,
-		stringify: functionBody
-  });
+		seperator: options.lineEnding,
+		stringify: stringify
+	});
+}
+
+// formatter of the non-null values of a column: hex encoding of binaries, or the date or number format, then quoting
+// formatted numbers are quoted if needed, e.g. if the decimal separator is the field separator
+// returns null if the values are written as they are
+function createDsvFormatter(column, quote, quoted, dateOptions, numberOptions) {
+	var format = dateFormat.createFormatter(column.dataTypeName, dateOptions),
+		formatNumber = numberFormat.createFormatter(column, numberOptions);
+
+	if (formatNumber) {
+		format = formatNumber;
+		quoted = true;
+	}
+	if (!quoted) quote = null;
+
+	if (column.dataType === hdbTypes.VARBINARY) {
+		return quote ? function(v) { return quote(v.toString('hex')); } : function(v) { return v.toString('hex'); };
+	}
+	if (format) {
+		return quote ? function(v) { return quote(format(v)); } : format;
+	}
+	return quote;
 }
 
-function createJSONStringifier() {
+// JSON array of the rows
+// the date and time values are rendered only if the date options are given (see dateFormat.js), otherwise they are left as hdb returns them
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createJSONStringifier({timezone: 'Europe/Berlin'})
+function createJSONStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createJSONStringifier(metadata, factoryOptions);
+		};
+	}
+
 	return new hdb.Stringifier({
 		header: '[',
 		footer: ']',
 		seperator: ',',
-		stringify: JSON.stringify
+		stringify: JSON.stringify,
+		map: metadata && options ? createDateMap(metadata, options) : undefined
+	});
+}
+
+// newline-delimited JSON, one row object per line, options: {header} and the date options like createJSONStringifier
+// with header: true, the first line describes the columns: {"columns":[{"name":"ID","type":"INT","length":10,"fraction":0},...]}
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createNdjsonStringifier({header: true})
+function createNdjsonStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createNdjsonStringifier(metadata, factoryOptions);
+		};
+	}
+
+	options = options || {};
+
+	var header = '';
+	if (options.header) {
+		header = JSON.stringify({columns: _.map(metadata, function(column) {
+			return {name: column.columnDisplayName, type: hdbTypeCodes[column.dataType+''], length: column.length, fraction: column.fraction};
+		})}) + NDJSON_LINE_ENDING;
+	}
+
+	// every line ends with a line break, so the header is the whole output of an empty result set
+	return new hdb.Stringifier({
+		header: header,
+		footer: '',
+		seperator: '',
+		stringify: function(row) {
+			return JSON.stringify(row) + NDJSON_LINE_ENDING;
+		},
+		map: createDateMap(metadata, _.omit(options, 'header'))
+	});
+}
+
+// compact JSON: {"columns":[{"name":"ID","type":"INT","nullable":false},...],"rows":[[1,"a"],[2,"b"],...]},
+// the column names are not repeated in every row
+// options: {layout} and the date options like createJSONStringifier
+//  * layout 'rows' (default): array of row arrays, streamed row by row
+//  * layout 'columns': "blocks" instead of "rows", one {"values":[[1,2],["a","b"]]} block of column arrays per fetched chunk of rows
+// the factory executes the query with rowsAsArray, so the columns of the same name are kept (e.g. SELECT A.ID, B.ID)
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createCompactJSONStringifier({layout: 'columns'})
+function createCompactJSONStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		var factory = function(metadata) {
+			return createCompactJSONStringifier(metadata, factoryOptions);
+		};
+		factory.rowsAsArray = true;	// see executeQuery()
+		return factory;
+	}
+
+	options = options || {};
+	var layout = options.layout || COMPACT_LAYOUTS[0];
+	if (!_.contains(COMPACT_LAYOUTS, layout))
+		throw createError('EHDBPOOLPARAMS', 'invalid layout: ' + layout);
+
+	var header = '{"columns":' + JSON.stringify(describeColumns(metadata)) + (layout === 'rows' ? ',"rows":[' : ',"blocks":['),
+		toArray = createRowArrayMap(metadata, _.omit(options, 'layout'));
+
+	if (layout === 'rows') {
+		return new hdb.Stringifier({
+			header: header,
+			footer: ']}',
+			seperator: ',',
+			stringify: JSON.stringify,
+			map: toArray
+		});
+	}
+
+	var stringifier = new stream.Transform({writableObjectMode: true}),
+		first = true;
+
+	// only the rows of the current chunk are kept in memory
+	stringifier._transform = function _transform(chunk, encoding, done) {
+		var rows = _.isArray(chunk) ? chunk : [chunk];
+		if (!rows.length) return done();
+
+		this.push((first ? header : ',') + JSON.stringify(createColumnBlock(metadata, _.map(rows, toArray))));
+		first = false;
+		done();
+	};
+
+	stringifier._flush = function _flush(done) {
+		this.push((first ? header : '') + ']}');
+		done();
+	};
+
+	return stringifier;
+}
+
+// the compact JSON result of exec() called with the layout option, the same as the output of createCompactJSONStringifier()
+// rows: the rows of hdb executed with rowsAsArray, options: the date options
+function createCompactResult(metadata, rows, layout, options) {
+	var result = {columns: describeColumns(metadata)};
+
+	rows = _.map(rows, createRowArrayMap(metadata, options));
+
+	if (layout === 'columns')
+		result.blocks = rows.length ? [createColumnBlock(metadata, rows)] : [];
+	else
+		result.rows = rows;
+
+	return result;
+}
+
+function describeColumns(metadata) {
+	return _.map(metadata, function(column) {
+		return {name: column.columnDisplayName, type: hdbTypeCodes[column.dataType+''], nullable: !!(column.mode & COLUMN_OPTIONAL)};
+	});
+}
+
+// {values: [column arrays]} of the row arrays
+function createColumnBlock(metadata, rows) {
+	return {values: _.map(metadata, function(column, i) { return _.pluck(rows, i); })};
+}
+
+// maps a row to the array of its values in the order of the columns, and renders the dates like createDateMap()
+// the rows of hdb executed with rowsAsArray are read by index, row objects by the column names
+function createRowArrayMap(metadata, options) {
+	var names = _.pluck(metadata, 'columnDisplayName'),
+		formatters = createDateFormatters(metadata, options),
+		count = names.length;
+
+	return function(row) {
+		var values = new Array(count), byIndex = _.isArray(row), v;
+		for (var i = 0; i < count; i++) {
+			v = byIndex ? row[i] : row[names[i]];
+			values[i] = formatters[i] && v !== null && !_.isUndefined(v) ? formatters[i](v) : v;
+		}
+		return values;
+	};
+}
+
+// Excel workbook with a single sheet, options: {sheetName, header}, see xlsx.js
+// numbers, booleans and dates are written as typed cells, the rest as text
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createXlsxStringifier({sheetName: 'Users'})
+function createXlsxStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createXlsxStringifier(metadata, factoryOptions);
+		};
+	}
+
+	options = xlsx.normalize(options);
+	if (options instanceof Error) throw options;
+
+	return xlsx.createXlsxStringifier(metadata, options);
+}
+
+// Apache Arrow IPC stream, options: {batchSize}, see arrow.js
+// the rows are written in record batches of typed columns, e.g. DECIMAL as decimal128, TIMESTAMP as timestamp[us, UTC]
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createArrowStringifier({batchSize: 50000})
+function createArrowStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createArrowStringifier(metadata, factoryOptions);
+		};
+	}
+
+	options = arrow.normalize(options);
+	if (options instanceof Error) throw options;
+
+	return arrow.createArrowStringifier(metadata, options);
+}
+
+// XML document <rows><row><COL>..</COL></row></rows>, options: {rootElement, rowElement} and the date options, see xml.js
+// column names which are not valid XML names are encoded, e.g. 'UNIT PRICE' -> <UNIT_x0020_PRICE>; NULL values are xsi:nil
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createXmlStringifier({rowElement: 'user'})
+function createXmlStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createXmlStringifier(metadata, factoryOptions);
+		};
+	}
+
+	options = xml.normalize(options);
+	if (options instanceof Error) throw options;
+
+	return xml.createXmlStringifier(metadata, options);
+}
+
+// Excel 2003 XML workbook (SpreadsheetML), options: {sheetName, header} like createXlsxStringifier
+// if called with the options only, it returns a stringifier factory for streams[], e.g. createSpreadsheetMLStringifier({sheetName: 'Users'})
+function createSpreadsheetMLStringifier(metadata, options) {
+	if (metadata && !_.isArray(metadata)) {
+		var factoryOptions = metadata;
+		return function(metadata) {
+			return createSpreadsheetMLStringifier(metadata, factoryOptions);
+		};
+	}
+
+	options = xlsx.normalize(options);
+	if (options instanceof Error) throw options;
+
+	return xml.createSpreadsheetMLStringifier(metadata, options);
+}
+
+// row mapper of the JSON stringifiers rendering the date and time values, or undefined if there is nothing to render
+// the rows are cloned, as they may be used by other streams as well
+function createDateMap(metadata, options) {
+	if (_.isEmpty(options)) return;
+
+	var formatters = createDateFormatters(metadata, options),
+		dateColumns = _.compact(_.map(metadata, function(column, i) {
+			return formatters[i] && {name: column.columnDisplayName, format: formatters[i]};
+		}));
+
+	if (!dateColumns.length) return;
+
+	return function(row) {
+		row = _.clone(row);
+		_.each(dateColumns, function(column) {
+			var v = row[column.name];
+			if (v !== null && !_.isUndefined(v)) row[column.name] = column.format(v);
+		});
+		return row;
+	};
+}
+
+// formatters of the date and time columns, null for the other columns and if there are no options
+function createDateFormatters(metadata, options) {
+	if (_.isEmpty(options)) return _.map(metadata, _.constant(null));
+
+	var dateOptions = dateFormat.normalize(options);
+	if (dateOptions instanceof Error) throw dateOptions;
+
+	return _.map(metadata, function(column) {
+		return dateFormat.createFormatter(hdbTypeCodes[column.dataType+''], dateOptions);
 	});
 }
 
@@ -536,12 +1983,11 @@ function transformLobs() {
 
 // generate request id, process environment, and setup event handlers on request and setTimeout on response
 function initRequest(pool, req, res, cb) {
-	log('trace', 'init request');
-	var env = pool.env, reqQueue = pool.reqQueue, user = pool.user, options = pool.options;
+	var env = pool.env, reqQueue = pool.reqQueue, options = pool.options;
 
 	// generate uuid for the request if it does not have any yet
 	var id = (req && req.hdbPoolRequestId) ? req.hdbPoolRequestId : uuid.v1();	// reuse ID if hdbPool is called several times within one HTTP request
-	log('trace', user + ' ' + id + ' ' + env + ' - new hdbPool call');
+	pool.log('trace', 'new hdbPool call', {requestId: id, event: 'request'});
 
 	// overwrite the default 120 sec response timeout
 	// see: http://www.fingersdancing.net/2012/12/nodejs-connection-times-out-after-2.html
@@ -554,31 +2000,40 @@ function initRequest(pool, req, res, cb) {
 	// the purpose of this call is to store the HANA sessionCookie as early as possible in order to ensure the smooth restart of the cube-server
 	storeIntoSession(req, env, options.user, options.sessionCookie);
 
-	reqQueue[id] = {open: true};
+	// the entry records if the request is still open, and the state of each of its queries (see query())
+	if (!reqQueue[id])
+		reqQueue[id] = {open: true, queries: {}};
 
 	if (req && !req.hdbPoolRequestId) {	// in case of new HTTP or new socket.io request
 		req.hdbPoolRequestId = id;	// store the id in the request so we can distinguish new and reused requests
 
 		// these listeners are registered only once per request
 		req.on('close', function() {
-			log('warn', user + ' ' + id + ' ' + env + ' - request closed by the client')
-			delete reqQueue[id];
+			pool.log('warn', 'request closed by the client', {requestId: id, event: 'requestClosed'});
+			closeRequest(reqQueue, id);
 		});
 
 		req.on('error', function(err) {
-			log('error', user + ' ' + id + ' ' + env + ' - request error', err)
-			delete reqQueue[id];
+			pool.log('error', 'request error', {requestId: id, event: 'requestError', error: err});
+			closeRequest(reqQueue, id);
 		});
 
 		req.on('end', function() {
 			delete reqQueue[id];
-			log('trace', user + ' ' + id + ' ' + env + ' - request end')
+			pool.log('trace', 'request end', {requestId: id, event: 'requestEnd'});
 		});
 	}
 
 	return cb(null, id);
 }
 
+// mark the request as closed, so queries waiting for a free resource are not executed
+function closeRequest(reqQueue, id) {
+	if (reqQueue[id])
+		reqQueue[id].open = false;
+	delete reqQueue[id];
+}
+
 // store username and HANA session cookie in the express session
 function storeIntoSession(req, env, user, sessionCookie) {
 	if (req && env && user && sessionCookie && req && req.session && req.session.passport && req.session.passport.user) {
@@ -593,21 +2048,39 @@ function storeIntoSession(req, env, user, sessionCookie) {
 	}
 }
 
-function setDefaultSchema(options, hdbclient, user, env, callback) {
+function setDefaultSchema(options, hdbclient, callback) {
 	// setup default schema if any
 	if (!options.defaultSchema)
 		return callback(null, hdbclient);
 
+	var me = this;
+
 	hdbclient.exec('SET SCHEMA ' + options.defaultSchema, function (err) {
 		if (err) {
 			return callback(err, hdbclient);
 		}
-		log('trace', env + ':' + user + ' default schema: ' + options.defaultSchema);
+		me.log('trace', 'default schema is set', {event: 'setSchema', schema: options.defaultSchema});
+		return callback(null, hdbclient);
+	});
+}
+
+// store the HANA connection id on the client, it is needed for cancelling running statements
+function setConnectionId(hdbclient, callback) {
+	var me = this;
+
+	hdbclient.exec('SELECT CURRENT_CONNECTION AS CONNECTION_ID FROM DUMMY', function (err, rows) {
+		if (err) {
+			return callback(err, hdbclient);
+		}
+		hdbclient.hdbPoolConnectionId = rows[0].CONNECTION_ID;
+		me.log('trace', 'connection id is set', {event: 'setConnectionId', connectionId: hdbclient.hdbPoolConnectionId});
 		return callback(null, hdbclient);
 	});
 }
 
-function dsvquote(v, sep) {
+function dsvquote(v, sep, all) {
+	if (all) return '"' + String(v).replace(ESCAPE_REGEXP, '""') + '"';
+
 	// RFC 4180 pharagraph 6: Fields containing line breaks (CRLF), double quotes, and commas should be enclosed in double-quotes.
 	if (v && (v.indexOf(sep) >= 0 || v.indexOf('"') >= 0 || v.match(/\r?\n|\r/))) {
 		// RFC 4180 pharagraph 7: If double-quotes are used to enclose fields, then a double-quote appearing inside a field must be escaped by preceding it with another double quote.
@@ -616,23 +2089,19 @@ function dsvquote(v, sep) {
 	else return v;
 }
 
-function ifnull(v) {
-	return v === null ? '\\N' : v;
-}
-
 
 exports.createPool = function createPool(options, req) {
-	if (options.logger) {
-		logger = options.logger;
-	}
+	var poolLogger = new PoolLogger(options.logger, function() {
+		return {env: options.env || options.host, user: options.user};
+	});
 
 	// sanity check
 	if (!options.host) {
-		log('error', 'host needs to be specified');
+		poolLogger.log('error', 'host needs to be specified', {event: 'invalidOptions'});
 		return;
 	}
 	if (!options.port) {
-		log('error', 'port needs to be specified');
+		poolLogger.log('error', 'port needs to be specified', {event: 'invalidOptions'});
 		return;
 	}
 
@@ -642,7 +2111,22 @@ exports.createPool = function createPool(options, req) {
 exports.createCsvStringifier = createCsvStringifier;
 exports.createSsvStringifier = createSsvStringifier;
 exports.createJSONStringifier = createJSONStringifier;
+exports.createDsvStringifier = createDsvStringifier;
+exports.createNdjsonStringifier = createNdjsonStringifier;
+exports.createCompactJSONStringifier = createCompactJSONStringifier;
+exports.createXlsxStringifier = createXlsxStringifier;
+exports.createArrowStringifier = createArrowStringifier;
+exports.createXmlStringifier = createXmlStringifier;
+exports.createSpreadsheetMLStringifier = createSpreadsheetMLStringifier;
 exports.log = log;
+// logger of the functions which do not belong to a pool (e.g. stringifiers), each pool uses its own logger option
+exports.setLogger = function setLogger(l) {
+	logger = l;
+};
+exports.createJsonLogger = createJsonLogger;
+exports.metrics = metrics.registry;
+exports.MetricsRegistry = metrics.Registry;
+exports.errorHandler = errorHandler;
 exports.setPid = function(pid) {
 	require('hdb/lib/util').pid = pid;
 };
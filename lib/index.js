@@ -5,4 +5,16 @@ exports.createCsvStringifier = hdbPool.createCsvStringifier;
 exports.createSsvStringifier = hdbPool.createSsvStringifier;
 exports.createJSONStringifier = hdbPool.createJSONStringifier;
 exports.hdbMetaPool = hdbMetaPool;
+exports.metrics = hdbPool.metrics;
+exports.MetricsRegistry = hdbPool.MetricsRegistry;
 exports.setPid = hdbPool.setPid;
+exports.setLogger = hdbPool.setLogger;
+exports.createJsonLogger = hdbPool.createJsonLogger;
+exports.errorHandler = hdbPool.errorHandler;
+exports.createDsvStringifier = hdbPool.createDsvStringifier;
+exports.createNdjsonStringifier = hdbPool.createNdjsonStringifier;
+exports.createCompactJSONStringifier = hdbPool.createCompactJSONStringifier;
+exports.createXlsxStringifier = hdbPool.createXlsxStringifier;
+exports.createArrowStringifier = hdbPool.createArrowStringifier;
+exports.createXmlStringifier = hdbPool.createXmlStringifier;
+exports.createSpreadsheetMLStringifier = hdbPool.createSpreadsheetMLStringifier;
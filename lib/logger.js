@@ -0,0 +1,73 @@
+// structured logging
+// a log record is a message and a flat object of fields, e.g. {env, user, requestId, event, durationMs, code, error}
+// loggers are called as logger[level](msg, record), which works with tracer as well as with the JSON-lines logger below
+
+var _ = require('underscore');
+
+var LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+// logger of a pool, adding the context of the pool (e.g. env and user) to every record
+// context is a function, since the user of the pool is known only after the first connection in case of SAML
+function PoolLogger(target, context) {
+	this.target = target || null;
+	this.context = context;
+}
+
+PoolLogger.prototype.log = function log(level, msg, fields) {
+	var target = this.target;
+	if (!target || !target[level]) return;
+
+	target[level](msg, createRecord(this.context(), fields));
+};
+
+function createRecord(context, fields) {
+	var record = _.extend({}, context, fields);
+
+	// errors are flattened into a code and a message, so that the record can be serialised
+	if (record.error) {
+		var err = record.error;
+		if (_.isObject(err)) {
+			if (!_.isUndefined(err.code)) record.code = err.code;
+			record.error = err.message || String(err);
+		}
+		else {
+			record.error = String(err);
+		}
+	}
+
+	return _.omit(record, _.isUndefined);
+}
+
+// logger writing one JSON object per line
+// options: {stream (default process.stdout), level (default 'info')}
+function createJsonLogger(options) {
+	options = options || {};
+
+	var stream = options.stream || process.stdout,
+		minLevel = _.indexOf(LEVELS, options.level || 'info');
+
+	var logger = {};
+
+	_.each(LEVELS, function(level, i) {
+		logger[level] = function(msg, record) {
+			if (i < minLevel) return;
+
+			var line = _.extend({time: new Date().toISOString(), level: level, msg: msg}, record);
+			stream.write(stringify(line) + '\n');
+		};
+	});
+
+	return logger;
+}
+
+// records of foreign callers may contain circular references or buffers
+function stringify(line) {
+	try {
+		return JSON.stringify(line);
+	} catch (e) {
+		return JSON.stringify({time: line.time, level: line.level, msg: line.msg, logError: e.message});
+	}
+}
+
+exports.PoolLogger = PoolLogger;
+exports.createJsonLogger = createJsonLogger;
@@ -0,0 +1,192 @@
+// metrics of HDB pools in the Prometheus text exposition format
+// pools are registered with the metrics pool option, and their lifecycle events are turned into counters and histograms
+
+var _ = require('underscore');
+
+var CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];	// seconds
+
+// gauges read from generic-pool (and the queue of the HDBPool) when the metrics are rendered
+var POOL_GAUGES = [
+	{name: 'hdbpool_connections', help: 'Number of connections of the pool, idle and in use', value: function(pool) { return pool.getPoolSize(); }},
+	{name: 'hdbpool_connections_max', help: 'Max number of connections of the pool', value: function(pool) { return pool.getMaxPoolSize(); }},
+	{name: 'hdbpool_connections_idle', help: 'Number of idle connections', value: function(pool) { return pool.availableObjectsCount(); }},
+	{name: 'hdbpool_connections_in_use', help: 'Number of connections in use', value: function(pool) { return pool.inUseObjectsCount(); }},
+	{name: 'hdbpool_waiting_clients', help: 'Number of callers waiting for a free connection', value: function(pool, hdbPool) { return _.flatten(_.values(hdbPool.getQueuePositions())).length; }}
+];
+
+function Registry(options) {
+	options = options || {};
+
+	this.buckets = options.buckets || DEFAULT_BUCKETS;
+	this.pools = [];	// registered HDBPool objects and their event listeners
+	this.counters = {};
+	this.histograms = {};
+	this.contentType = CONTENT_TYPE;
+
+	// Express route handler, e.g. app.get('/metrics', registry.handler)
+	this.handler = _.bind(function(req, res) {
+		res.set('Content-Type', this.contentType);
+		res.send(this.render());
+	}, this);
+
+	this.counter('hdbpool_connections_created_total', 'Number of connections created');
+	this.counter('hdbpool_connection_create_failures_total', 'Number of failed connection attempts, after all retries');
+	this.counter('hdbpool_query_errors_total', 'Number of failed queries');
+	this.counter('hdbpool_acquire_rejections_total', 'Number of callers rejected since the pool was exhausted');
+	this.histogram('hdbpool_query_duration_seconds', 'Execution time of queries');
+	this.histogram('hdbpool_query_wait_seconds', 'Time spent waiting for a free connection, once per acquire');
+}
+
+Registry.prototype.register = function register(hdbPool) {
+	if (_.findWhere(this.pools, {hdbPool: hdbPool})) return;
+
+	var me = this,
+		series = {};	// the counter and histogram values written for the pool, removed by unregister()
+
+	function inc(name, labels) {
+		var key = me.inc(name, labels);
+		series[name + key] = {name: name, key: key};
+	}
+
+	function observe(name, labels, value) {
+		var key = me.observe(name, labels, value);
+		series[name + key] = {name: name, key: key};
+	}
+
+	// the wait is observed once per acquire (a query, a transaction or a batch), including the failed ones
+	var listeners = {
+		connect: function(e) {
+			inc('hdbpool_connections_created_total', {env: e.env, user: e.user});
+		},
+		connectError: function(e) {
+			inc('hdbpool_connection_create_failures_total', {env: e.env, user: e.user});
+		},
+		acquire: function(e) {
+			observe('hdbpool_query_wait_seconds', {env: e.env, user: e.user, priority: e.priority, result: 'acquired'}, e.waitMillis / 1000);
+		},
+		exhausted: function(e) {
+			inc('hdbpool_acquire_rejections_total', {env: e.env, user: e.user, reason: e.reason});
+			observe('hdbpool_query_wait_seconds', {env: e.env, user: e.user, priority: e.priority, result: e.reason}, e.waitMillis / 1000);
+		},
+		queryEnd: function(e) {
+			observe('hdbpool_query_duration_seconds', queryLabels(e), e.durationMillis / 1000);
+		},
+		queryError: function(e) {
+			inc('hdbpool_query_errors_total', queryLabels(e));
+			if (!_.isUndefined(e.connectionId))	// execution has started
+				observe('hdbpool_query_duration_seconds', queryLabels(e), e.durationMillis / 1000);
+		}
+	};
+
+	_.each(listeners, function(listener, event) {
+		hdbPool.on(event, listener);
+	});
+
+	this.pools.push({hdbPool: hdbPool, listeners: listeners, series: series});
+};
+
+// the gauges, counters and histograms of the pool are removed, so the pools of the users do not add series forever
+// the values shared with another registered pool (e.g. the new pool of the same user) are kept
+Registry.prototype.unregister = function unregister(hdbPool) {
+	var entry = _.findWhere(this.pools, {hdbPool: hdbPool}),
+		me = this;
+	if (!entry) return;
+
+	_.each(entry.listeners, function(listener, event) {
+		hdbPool.removeListener(event, listener);
+	});
+
+	this.pools = _.without(this.pools, entry);
+
+	_.each(entry.series, function(s, id) {
+		var shared = _.some(me.pools, function(other) {
+			return _.has(other.series, id);
+		});
+		if (!shared) delete (me.counters[s.name] || me.histograms[s.name]).values[s.key];
+	});
+};
+
+Registry.prototype.counter = function counter(name, help) {
+	this.counters[name] = {help: help, values: {}};
+};
+
+Registry.prototype.histogram = function histogram(name, help) {
+	this.histograms[name] = {help: help, values: {}};
+};
+
+// returns the key of the value, see formatLabels()
+Registry.prototype.inc = function inc(name, labels) {
+	var values = this.counters[name].values,
+		key = formatLabels(labels);
+
+	values[key] = (values[key] || 0) + 1;
+	return key;
+};
+
+Registry.prototype.observe = function observe(name, labels, value) {
+	var values = this.histograms[name].values,
+		key = formatLabels(labels);
+
+	var h = values[key] = values[key] || {labels: labels, buckets: _.map(this.buckets, function() { return 0; }), sum: 0, count: 0};
+
+	_.each(this.buckets, function(le, i) {
+		if (value <= le) h.buckets[i]++;
+	});
+	h.sum += value;
+	h.count++;
+	return key;
+};
+
+Registry.prototype.render = function render() {
+	var me = this,
+		lines = [];
+
+	_.each(POOL_GAUGES, function(gauge) {
+		lines.push('# HELP ' + gauge.name + ' ' + gauge.help);
+		lines.push('# TYPE ' + gauge.name + ' gauge');
+		_.each(me.pools, function(entry) {
+			var hdbPool = entry.hdbPool;
+			if (!hdbPool.pool) return;
+			lines.push(gauge.name + formatLabels({env: hdbPool.env, user: hdbPool.user}) + ' ' + gauge.value(hdbPool.pool, hdbPool));
+		});
+	});
+
+	_.each(this.counters, function(counter, name) {
+		lines.push('# HELP ' + name + ' ' + counter.help);
+		lines.push('# TYPE ' + name + ' counter');
+		_.each(counter.values, function(value, key) {
+			lines.push(name + key + ' ' + value);
+		});
+	});
+
+	_.each(this.histograms, function(histogram, name) {
+		lines.push('# HELP ' + name + ' ' + histogram.help);
+		lines.push('# TYPE ' + name + ' histogram');
+		_.each(histogram.values, function(h) {
+			_.each(me.buckets, function(le, i) {
+				lines.push(name + '_bucket' + formatLabels(_.extend({}, h.labels, {le: String(le)})) + ' ' + h.buckets[i]);
+			});
+			lines.push(name + '_bucket' + formatLabels(_.extend({}, h.labels, {le: '+Inf'})) + ' ' + h.count);
+			lines.push(name + '_sum' + formatLabels(h.labels) + ' ' + h.sum);
+			lines.push(name + '_count' + formatLabels(h.labels) + ' ' + h.count);
+		});
+	});
+
+	return lines.join('\n') + '\n';
+};
+
+function queryLabels(e) {
+	return {env: e.env, user: e.user, mode: e.mode};
+}
+
+function formatLabels(labels) {
+	var pairs = _.map(labels, function(value, name) {
+		return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+	});
+	return '{' + pairs.join(',') + '}';
+}
+
+exports.Registry = Registry;
+exports.registry = new Registry();	// default registry, used by the metrics: true pool option
@@ -0,0 +1,62 @@
+// rewrite :name placeholders of an SQL statement to positional ? markers
+// string literals, quoted identifiers and comments are copied untouched
+
+var NAME_START = /[A-Za-z_]/,
+	NAME_PART = /[A-Za-z0-9_]/;
+
+// returns {sql, names, positional}, where names[] holds the placeholder names in the order of the ? markers,
+// and positional is the number of ? markers already present in the original sql
+function parse(sql) {
+	var out = '',
+		names = [],
+		positional = 0,
+		i = 0,
+		len = sql.length;
+
+	while (i < len) {
+		var ch = sql[i],
+			next = sql[i + 1],
+			end;
+
+		if (ch === '\'' || ch === '"') {	// string literal or quoted identifier, quotes are escaped by doubling them
+			end = i + 1;
+			while (end < len) {
+				if (sql[end] === ch) {
+					if (sql[end + 1] !== ch) break;
+					end++;
+				}
+				end++;
+			}
+			out += sql.slice(i, end + 1);
+			i = end + 1;
+		}
+		else if (ch === '-' && next === '-') {	// line comment
+			end = sql.indexOf('\n', i);
+			end = end === -1 ? len : end;
+			out += sql.slice(i, end);
+			i = end;
+		}
+		else if (ch === '/' && next === '*') {	// block comment
+			end = sql.indexOf('*/', i + 2);
+			end = end === -1 ? len : end + 2;
+			out += sql.slice(i, end);
+			i = end;
+		}
+		else if (ch === ':' && next && NAME_START.test(next) && sql[i - 1] !== ':') {
+			end = i + 1;
+			while (end < len && NAME_PART.test(sql[end])) end++;
+			names.push(sql.slice(i + 1, end));
+			out += '?';
+			i = end;
+		}
+		else {
+			if (ch === '?') positional++;
+			out += ch;
+			i++;
+		}
+	}
+
+	return {sql: out, names: names, positional: positional};
+}
+
+exports.parse = parse;
@@ -0,0 +1,142 @@
+// rendering of the numeric values of hdb in the DSV stringifiers
+// hdb returns DECIMAL (and SMALLDECIMAL, which HANA sends as DECIMAL) as strings, e.g. '1234.50' for a DECIMAL(10,2),
+// or '1.2345e+3' for a floating DECIMAL without scale; these are never converted to JS numbers to keep their precision
+
+var _ = require('underscore');
+
+var DEFAULTS = {
+	decimalSeparator: '.',	// e.g. ',' for European Excel
+	thousandsSeparator: '',	// grouping of the integer digits, e.g. '.' or ' ', none by default
+	fixedScale: false	// if true, DECIMAL values are rendered with the scale of the column, e.g. 2 digits for DECIMAL(10,2)
+};
+
+var INTEGER_TYPES = {
+	TINYINT: true,
+	SMALLINT: true,
+	INT: true,
+	BIGINT: true
+};
+var FLOAT_TYPES = {
+	REAL: true,
+	DOUBLE: true
+};
+
+var MAX_SCALE = 34;	// the fraction of the floating DECIMAL columns is larger (32767)
+
+var NUMBER_REGEXP = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// returns the options with defaults, or an error if they are invalid
+function normalize(options) {
+	options = _.defaults(_.pick(options || {}, _.keys(DEFAULTS)), DEFAULTS);
+
+	if (!_.isString(options.decimalSeparator) || !options.decimalSeparator)
+		return invalid('invalid decimalSeparator: ' + options.decimalSeparator);
+	if (!_.isString(options.thousandsSeparator) || options.thousandsSeparator === options.decimalSeparator)
+		return invalid('invalid thousandsSeparator: ' + options.thousandsSeparator);
+
+	return options;
+}
+
+function invalid(message) {
+	var err = new Error(message);
+	err.code = 'EHDBPOOLPARAMS';
+	return err;
+}
+
+// returns the formatter of the non-null values of a column, or null if the column is not numeric
+// or the options are the defaults (the values are rendered as hdb returns them)
+// options are normalized by normalize()
+function createFormatter(column, options) {
+	var typeName = column.dataTypeName,
+		scale = null;
+
+	if (typeName === 'DECIMAL') {
+		if (options.fixedScale && column.fraction >= 0 && column.fraction <= MAX_SCALE) scale = column.fraction;
+	} else if (!INTEGER_TYPES[typeName] && !FLOAT_TYPES[typeName]) {
+		return null;
+	}
+
+	if (scale === null && options.decimalSeparator === DEFAULTS.decimalSeparator && !options.thousandsSeparator)
+		return null;
+
+	return function formatNumber(v) {
+		var n = parse(String(v));
+		if (!n) return v;	// NaN, Infinity or unknown representation, left as it is
+
+		if (scale !== null) n = round(n, scale);
+
+		return n.sign + group(n.integer, options.thousandsSeparator) + (n.fraction ? options.decimalSeparator + n.fraction : '');
+	};
+}
+
+// true for the numeric hdb types
+function isNumber(typeName) {
+	return typeName === 'DECIMAL' || !!INTEGER_TYPES[typeName] || !!FLOAT_TYPES[typeName];
+}
+
+// digits of the value multiplied by 10^scale, rounded like fixedScale, e.g. ('-12.345', 2) -> '-1235', or null if it is not a number
+// used for the decimals of the binary formats, which store the unscaled integer
+function unscaled(v, scale) {
+	var n = parse(String(v));
+	if (!n) return null;
+
+	n = round(n, scale);
+	return n.sign + (n.integer + n.fraction).replace(/^0+(?=\d)/, '');
+}
+
+// {sign, integer, fraction} digits of a number string in plain or exponential notation, e.g. '-1.25e+3' -> {'-', '1250', ''}
+function parse(v) {
+	var m = NUMBER_REGEXP.exec(v);
+	if (!m || !(m[2] || m[3])) return null;
+
+	var digits = (m[2] || '') + (m[3] || ''),
+		point = (m[2] || '').length + (m[4] ? parseInt(m[4], 10) : 0);	// position of the decimal point in digits
+
+	if (point < 0) {
+		digits = repeat('0', -point) + digits;
+		point = 0;
+	} else if (point > digits.length) {
+		digits += repeat('0', point - digits.length);
+	}
+
+	var integer = digits.substring(0, point).replace(/^0+(?=\d)/, '') || '0',
+		fraction = m[4] ? digits.substring(point).replace(/0+$/, '') : digits.substring(point);	// trailing zeros of the scale are kept
+
+	return {sign: m[1] === '-' ? '-' : '', integer: integer, fraction: fraction};
+}
+
+// rounds half away from zero to scale fraction digits, or pads them with zeros
+function round(n, scale) {
+	if (n.fraction.length <= scale)
+		return {sign: n.sign, integer: n.integer, fraction: n.fraction + repeat('0', scale - n.fraction.length)};
+
+	var digits = n.integer + n.fraction.substring(0, scale);
+	if (n.fraction.charAt(scale) >= '5') digits = increment(digits);
+
+	var point = digits.length - scale;
+	return {sign: /[1-9]/.test(digits) ? n.sign : '', integer: digits.substring(0, point), fraction: digits.substring(point)};	// no -0.00
+}
+
+// adds 1 to a string of digits, e.g. '1299' -> '1300', '99' -> '100'
+function increment(digits) {
+	var i = digits.length - 1;
+	while (i >= 0 && digits.charAt(i) === '9') i--;
+	if (i < 0) return '1' + repeat('0', digits.length);
+	return digits.substring(0, i) + (+digits.charAt(i) + 1) + repeat('0', digits.length - i - 1);
+}
+
+// inserts the thousands separator into the integer digits, e.g. '1234567' -> '1.234.567'
+function group(integer, separator) {
+	if (!separator || integer.length <= 3) return integer;
+	return integer.replace(/\B(?=(\d{3})+$)/g, separator);
+}
+
+function repeat(s, count) {
+	return new Array(count + 1).join(s);
+}
+
+exports.DEFAULTS = DEFAULTS;
+exports.normalize = normalize;
+exports.createFormatter = createFormatter;
+exports.unscaled = unscaled;
+exports.isNumber = isNumber;
@@ -0,0 +1,60 @@
+// call forms of the query functions, shared by hdbPool and hdbMetaPool
+
+var _ = require('underscore');
+
+// normalise the supported call forms into a single options object:
+//  * (options, [cb]) where options is {sql, args, req, res, streams, type}
+//  * (sql, [args], [cb]) - without HTTP request/response
+//  * (sql, args, req, streams, [cb], [type]) - with HTTP request/response
+function parseQueryArgs(params) {
+	var o;
+
+	if (_.isObject(params[0]) && !_.isString(params[0])) {
+		o = _.clone(params[0]);
+		o.cb = params[1];
+	}
+	else if (_.isFunction(params[1])) {
+		o = {sql: params[0], cb: params[1]};
+	}
+	else if (_.isFunction(params[2])) {	// called without HTTP request/response
+		o = {sql: params[0], args: params[1], cb: params[2]};
+	}
+	else {	// called with HTTP request/response
+		o = {sql: params[0], args: params[1], req: params[2], streams: params[3], cb: params[4], type: params[5]};
+	}
+
+	if (!_.isFunction(o.cb))
+		o.cb = null;
+
+	return o;
+}
+
+// call fn with a node-style callback; if no callback was given, the result is returned as a Promise
+// with http set (HTTP request or response given), the rejection is not reported as unhandled,
+// since the callers of the HTTP form written for the earlier versions pass no callback and ignore the returned value
+function promisify(cb, fn, http) {
+	if (cb) {
+		fn(cb);
+		return;
+	}
+
+	var promise = new Promise(function(resolve, reject) {
+		fn(function(err, result) {
+			if (err) return reject(err);
+			return resolve(result);
+		});
+	});
+
+	if (http) promise.catch(_.noop);
+
+	return promise;
+}
+
+// true for the call forms with HTTP request or response
+function isHttp(o) {
+	return !!(o.req || o.res);
+}
+
+exports.parseQueryArgs = parseQueryArgs;
+exports.promisify = promisify;
+exports.isHttp = isHttp;
@@ -0,0 +1,66 @@
+// retry with exponential backoff and jitter for transient errors, e.g. during a failover of the database host
+
+var _ = require('underscore');
+
+var DEFAULTS = {
+	maxAttempts: 1,	// 1 means no retry
+	initialDelayMillis: 100,
+	maxDelayMillis: 5000,
+	jitter: true,
+	retryableErrors: [
+		// network errors
+		'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'EAI_AGAIN',
+		// node-hdb: could not connect to any host, connection closed, no initialization reply
+		'EHDBOPENCONN', 'EHDBCLOSE', 'EHDBTIMEOUT'
+	]
+};
+
+function RetryPolicy(options) {
+	options = _.defaults({}, options, DEFAULTS);
+
+	this.maxAttempts = Math.max(1, options.maxAttempts);
+	this.initialDelayMillis = options.initialDelayMillis;
+	this.maxDelayMillis = options.maxDelayMillis;
+	this.jitter = options.jitter;
+	this.retryableErrors = options.retryableErrors;
+}
+
+RetryPolicy.prototype.isRetryable = function isRetryable(err) {
+	return !!err && _.has(err, 'code') && _.contains(this.retryableErrors, err.code);
+};
+
+// delay before the next attempt: doubled after every attempt and limited by maxDelayMillis
+// with jitter, a random delay between the half and the full delay is used, so that clients do not retry at the same time
+RetryPolicy.prototype.delay = function delay(attempt) {
+	var d = Math.min(this.maxDelayMillis, this.initialDelayMillis * Math.pow(2, attempt - 1));
+	if (this.jitter)
+		d = d / 2 + Math.random() * d / 2;
+	return Math.round(d);
+};
+
+// call fn(attemptCb) until it succeeds, fails with a non-retryable error or runs out of attempts
+// onRetry(err, attempt, delay, result) is called before each retry
+RetryPolicy.prototype.run = function run(fn, onRetry, cb) {
+	var me = this,
+		attempt = 0;
+
+	(function next() {
+		var settled = false;
+		attempt++;
+
+		fn(function(err, result) {
+			if (settled) return;	// late callback of an attempt which has been retried already
+
+			if (err && attempt < me.maxAttempts && me.isRetryable(err)) {
+				settled = true;
+				var delay = me.delay(attempt);
+				onRetry(err, attempt, delay, result);
+				return setTimeout(next, delay);
+			}
+
+			return cb.apply(null, arguments);
+		});
+	})();
+};
+
+module.exports = RetryPolicy;
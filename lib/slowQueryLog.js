@@ -0,0 +1,65 @@
+// log of queries exceeding the execution or the pool wait time thresholds
+
+var fs = require('fs'),
+	_ = require('underscore');
+
+// options: {durationMillis, waitMillis, logArgs, stream, file}
+// log(level, msg, fields) is the structured logger of the pool
+function SlowQueryLog(options, log) {
+	this.durationMillis = options.durationMillis || 0;	// 0 disables the threshold
+	this.waitMillis = options.waitMillis || 0;
+	this.logArgs = !!options.logArgs;	// args are redacted by default, since they may contain personal data
+	this.log = log;
+	this.ownStream = false;
+
+	if (options.stream) {
+		this.stream = options.stream;
+	}
+	else if (options.file) {
+		this.stream = fs.createWriteStream(options.file, {flags: 'a'});
+		this.ownStream = true;
+		this.stream.on('error', function(err) {
+			log('error', 'unable to write slow query log', {event: 'slowQueryLogError', file: options.file, error: err});
+		});
+	}
+}
+
+// event is the payload of the queryEnd/queryError events
+// returns the entry if the query is slow
+SlowQueryLog.prototype.record = function record(event, args, rowCount) {
+	var slow = (this.durationMillis > 0 && event.durationMillis >= this.durationMillis) ||
+		(this.waitMillis > 0 && event.waitMillis >= this.waitMillis);
+
+	if (!slow) return null;
+
+	var entry = {
+		time: new Date().toISOString(),
+		env: event.env,
+		user: event.user,
+		id: event.id,
+		mode: event.mode,
+		sql: event.sql,
+		args: this.logArgs || !event.argsCount ? (args || []) : '[' + event.argsCount + ' redacted]',
+		rowCount: _.isUndefined(rowCount) ? null : rowCount,
+		waitMillis: event.waitMillis,
+		durationMillis: event.durationMillis
+	};
+
+	if (event.error)
+		entry.error = event.error.message || String(event.error);
+
+	this.log('warn', 'slow query', _.extend({event: 'slowQuery', requestId: entry.id}, _.omit(entry, 'time', 'env', 'user', 'id')));
+
+	if (this.stream)
+		this.stream.write(JSON.stringify(entry) + '\n');
+
+	return entry;
+};
+
+// close the file sink, a stream passed in the options is left open
+SlowQueryLog.prototype.close = function close(cb) {
+	if (!this.ownStream) return cb && cb();
+	this.stream.end(cb);
+};
+
+module.exports = SlowQueryLog;
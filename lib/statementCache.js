@@ -0,0 +1,96 @@
+// LRU cache of prepared statements of a single hdb client
+
+var _ = require('underscore');
+
+// stats is shared by every client of the pool: {hits, misses, evictions, cached}
+function StatementCache(client, size, stats) {
+	this.client = client;
+	this.size = size;
+	this.stats = stats;
+	this.statements = new Map();	// keyed by sql, in the order of last usage (least recently used first)
+}
+
+// get the prepared statement from the cache or prepare it
+StatementCache.prototype.prepare = function prepare(sql, cb) {
+	var me = this,
+		statement = this.statements.get(sql);
+
+	if (statement) {
+		this.stats.hits++;
+		// move to the end of the LRU order
+		this.statements.delete(sql);
+		this.statements.set(sql, statement);
+		return cb(null, statement);
+	}
+
+	this.stats.misses++;
+
+	this.client.prepare(sql, function(err, statement) {
+		if (err) return cb(err);
+
+		if (me.size > 0 && !me.statements.has(sql)) {
+			me.statements.set(sql, statement);
+			me.stats.cached++;
+			me.evict();
+		}
+
+		return cb(null, statement);
+	});
+};
+
+// called after the statement has been executed
+// statements which are not cached (e.g. cache is disabled) are dropped, and cached statements are invalidated in case of error
+StatementCache.prototype.done = function done(sql, statement, err) {
+	if (this.statements.get(sql) !== statement) {
+		return drop(statement);
+	}
+
+	if (err) {
+		this.remove(sql);
+	}
+};
+
+StatementCache.prototype.remove = function remove(sql) {
+	var statement = this.statements.get(sql);
+	if (!statement) return;
+
+	this.statements.delete(sql);
+	this.stats.cached--;
+	drop(statement);
+};
+
+// drop the least recently used statements above the size of the cache
+StatementCache.prototype.evict = function evict() {
+	while (this.statements.size > this.size) {
+		var sql = this.statements.keys().next().value;
+		this.remove(sql);
+		this.stats.evictions++;
+	}
+};
+
+// drop all statements, e.g. before the client is destroyed
+StatementCache.prototype.clear = function clear(cb) {
+	var statements = Array.from(this.statements.values()),
+		pending = statements.length;
+
+	this.stats.cached -= statements.length;
+	this.statements.clear();
+
+	// statement handles are released by the server together with the session
+	if (!pending || this.client.readyState !== 'connected') return cb && cb();
+
+	_.each(statements, function(statement) {
+		drop(statement, function() {
+			if (--pending === 0 && cb) cb();
+		});
+	});
+};
+
+function drop(statement, cb) {
+	statement.drop(function() {
+		// errors can be ignored, the statement handle is released by the server together with the session anyway
+		if (cb) cb();
+	});
+}
+
+module.exports = StatementCache;
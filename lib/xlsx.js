@@ -0,0 +1,233 @@
+// Excel workbook (XLSX) of a result set, streamed row by row
+// the strings are written inline (no shared string table), so the memory use does not grow with the number of rows
+
+var stream = require('stream'),
+	_ = require('underscore'),
+	ZipWriter = require('./zipWriter.js'),
+	dateFormat = require('./dateFormat.js'),
+	numberFormat = require('./numberFormat.js'),
+	escape = require('./xml.js').escape;
+
+var hdbTypes = require('hdb/lib/protocol/common/TypeCode'),
+	hdbTypeCodes = _.invert(hdbTypes);
+
+var DEFAULTS = {
+	sheetName: 'Sheet1',
+	header: true	// bold header row with the column names
+};
+
+// cell styles, the indexes of cellXfs in styles.xml
+var STYLES = {
+	header: 1,
+	date: 2,
+	time: 3,
+	timestamp: 4
+};
+
+var DAY_MILLIS = 86400000,
+	EXCEL_EPOCH_DAYS = 25569,	// serial number of 1970-01-01
+	EXCEL_MIN_MILLIS = Date.UTC(1900, 2, 1);	// Excel regards 1900 as a leap year, so earlier dates are written as text
+
+var INVALID_SHEET_NAME_REGEXP = /[\[\]:*?\/\\]/,
+	MAX_SHEET_NAME_LENGTH = 31;
+
+var MAX_CELL_TEXT = 32767,	// longer texts make Excel report the workbook as corrupt
+	MAX_ROWS = 1048576;	// Excel does not open the rows beyond, including the header row
+
+var XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+var CONTENT_TYPES = XML_HEADER +
+	'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+	'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+	'<Default Extension="xml" ContentType="application/xml"/>' +
+	'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+	'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+	'<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+	'</Types>';
+
+var ROOT_RELS = XML_HEADER +
+	'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+	'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+	'</Relationships>';
+
+var WORKBOOK_RELS = XML_HEADER +
+	'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+	'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+	'<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+	'</Relationships>';
+
+// cellXfs: default, bold header, date, time, timestamp (see STYLES)
+var STYLESHEET = XML_HEADER +
+	'<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+	'<numFmts count="3">' +
+	'<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+	'<numFmt numFmtId="165" formatCode="hh:mm:ss"/>' +
+	'<numFmt numFmtId="166" formatCode="yyyy-mm-dd hh:mm:ss"/>' +
+	'</numFmts>' +
+	'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+	'<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+	'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+	'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+	'<cellXfs count="5">' +
+	'<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+	'<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+	'<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+	'<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+	'<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+	'</cellXfs>' +
+	'<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+	'</styleSheet>';
+
+// returns the options with defaults, or an error if they are invalid
+function normalize(options) {
+	options = _.defaults(_.pick(options || {}, _.keys(DEFAULTS)), DEFAULTS);
+
+	if (!_.isString(options.sheetName) || !options.sheetName || options.sheetName.length > MAX_SHEET_NAME_LENGTH ||
+			INVALID_SHEET_NAME_REGEXP.test(options.sheetName))
+		return invalid('invalid sheetName: ' + options.sheetName);
+
+	return options;
+}
+
+function invalid(message) {
+	var err = new Error(message);
+	err.code = 'EHDBPOOLPARAMS';
+	return err;
+}
+
+function tooManyRows() {
+	var err = new Error('result set does not fit into an XLSX sheet of ' + MAX_ROWS + ' rows');
+	err.code = 'EHDBPOOLLIMIT';
+	return err;
+}
+
+// Transform stream of rows (or arrays of rows) into the bytes of the workbook
+// options: {sheetName, header}, see DEFAULTS; options are normalized by normalize()
+function createXlsxStringifier(metadata, options) {
+	var names = _.pluck(metadata, 'columnDisplayName'),
+		refs = _.map(metadata, function(column, i) { return columnRef(i); }),
+		cells = _.map(metadata, createCellWriter),
+		count = names.length,
+		rowNumber = 0,
+		started = false;
+
+	var stringifier = new stream.Transform({writableObjectMode: true}),
+		zip = new ZipWriter(stringifier);
+
+	// the static parts are small, the sheet is streamed
+	function start() {
+		started = true;
+
+		zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+		zip.addFile('_rels/.rels', ROOT_RELS);
+		zip.addFile('xl/workbook.xml', XML_HEADER +
+			'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+			'<sheets><sheet name="' + escape(options.sheetName) + '" sheetId="1" r:id="rId1"/></sheets>' +
+			'</workbook>');
+		zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+		zip.addFile('xl/styles.xml', STYLESHEET);
+		zip.startFile('xl/worksheets/sheet1.xml');
+
+		var xml = XML_HEADER + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+		if (options.header) {
+			rowNumber++;
+			xml += '<row r="1">' + _.map(names, function(name, i) {
+				return stringCell(refs[i] + rowNumber, name, STYLES.header);
+			}).join('') + '</row>';
+		}
+		return xml;
+	}
+
+	function row(values) {
+		rowNumber++;
+		var xml = '<row r="' + rowNumber + '">', v;
+		for (var i = 0; i < count; i++) {
+			v = values[names[i]];
+			if (v !== null && !_.isUndefined(v)) xml += cells[i](refs[i] + rowNumber, v);	// empty cells are omitted
+		}
+		return xml + '</row>';
+	}
+
+	// the workbook is not finished if the rows do not fit, a truncated sheet would silently lose data
+	stringifier._transform = function _transform(chunk, encoding, done) {
+		var xml = started ? '' : start();
+		if (rowNumber + (_.isArray(chunk) ? chunk.length : 1) > MAX_ROWS) return done(tooManyRows());
+		xml += _.isArray(chunk) ? _.map(chunk, row).join('') : row(chunk);
+		zip.write(xml, done);
+	};
+
+	stringifier._flush = function _flush(done) {
+		var xml = started ? '' : start();
+		zip.write(xml + '</sheetData></worksheet>', function(err) {
+			if (err) return done(err);
+			zip.endFile(function() {
+				zip.finish();
+				done();
+			});
+		});
+	};
+
+	// the sheet is compressed no faster than the response is read, see ZipWriter
+	stringifier._read = function _read(size) {
+		zip.resume();
+		stream.Transform.prototype._read.call(this, size);
+	};
+
+	return stringifier;
+}
+
+// writer of the non-null values of a column: typed cells for numbers, booleans and dates, text otherwise
+function createCellWriter(column) {
+	var typeName = hdbTypeCodes[column.dataType+''],
+		kind = dateFormat.KINDS[typeName];
+
+	if (numberFormat.isNumber(typeName)) {
+		return function(ref, v) {
+			if (!_.isFinite(+v)) return stringCell(ref, String(v));	// NaN or Infinity of doubles
+			return '<c r="' + ref + '"><v>' + v + '</v></c>';
+		};
+	}
+	if (typeName === 'BOOLEAN') {
+		return function(ref, v) {
+			return '<c r="' + ref + '" t="b"><v>' + (v ? 1 : 0) + '</v></c>';
+		};
+	}
+	if (kind) {
+		// Excel stores dates as days since 1900, the fractional seconds are kept up to milliseconds
+		var toMillis = dateFormat.createFormatter(typeName, dateFormat.normalize({epochMillis: true})),
+			toText = dateFormat.createFormatter(typeName, dateFormat.normalize({fractionalDigits: typeName === 'LONGDATE' ? 7 : 0}));
+
+		return function(ref, v) {
+			var millis = toMillis(v);
+			if (!_.isNumber(millis) || (kind !== 'time' && millis < EXCEL_MIN_MILLIS)) return stringCell(ref, String(toText(v)));
+
+			var serial = (kind === 'time' ? 0 : EXCEL_EPOCH_DAYS) + millis / DAY_MILLIS;	// times are fractions of a day
+			return '<c r="' + ref + '" s="' + STYLES[kind] + '"><v>' + serial + '</v></c>';
+		};
+	}
+	if (column.dataType === hdbTypes.VARBINARY || column.dataType === hdbTypes.BINARY) {
+		return function(ref, v) {
+			return stringCell(ref, Buffer.isBuffer(v) ? v.toString('hex') : String(v));
+		};
+	}
+
+	return function(ref, v) {
+		return stringCell(ref, String(v));
+	};
+}
+
+function stringCell(ref, s, style) {
+	return '<c r="' + ref + '"' + (style ? ' s="' + style + '"' : '') + ' t="inlineStr"><is><t xml:space="preserve">' + escape(s.substring(0, MAX_CELL_TEXT)) + '</t></is></c>';
+}
+
+// column letters of the cell references, e.g. 0 -> A, 26 -> AA
+function columnRef(i) {
+	var ref = '';
+	for (i++; i > 0; i = Math.floor((i - 1) / 26))
+		ref = String.fromCharCode(65 + (i - 1) % 26) + ref;
+	return ref;
+}
+
+exports.DEFAULTS = DEFAULTS;
+exports.normalize = normalize;
+exports.createXlsxStringifier = createXlsxStringifier;
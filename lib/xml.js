@@ -0,0 +1,216 @@
+// XML outputs of a result set: plain <rows><row><COL>..</COL></row></rows>, and SpreadsheetML 2003 workbooks of Excel
+
+var hdb = require('hdb'),
+	_ = require('underscore'),
+	dateFormat = require('./dateFormat.js'),
+	numberFormat = require('./numberFormat.js');
+
+var hdbTypeCodes = _.invert(require('hdb/lib/protocol/common/TypeCode'));
+
+var DEFAULTS = {
+	rootElement: 'rows',
+	rowElement: 'row'
+};
+
+var XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n',
+	XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';	// xsi:nil of the NULL values
+
+var XML_ESCAPES = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'},
+	XML_ESCAPE_REGEXP = /[&<>"]/g,
+	XML_INVALID_REGEXP = /[\x00-\x08\x0b\x0c\x0e-\x1f\uFFFE\uFFFF]/g;	// not allowed in XML 1.0
+
+// XML 1.0 name characters of the Basic Multilingual Plane, without ':' (reserved for namespaces)
+var NAME_START_CHAR_REGEXP = /[A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD]/,
+	NAME_CHAR_REGEXP = /[A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F\u2040]/,
+	ENCODED_CHAR_REGEXP = /^_x[0-9A-Fa-f]{4}_/;
+
+// SpreadsheetML styles of the header and the date cells
+var SPREADSHEET_STYLES = '<Styles>' +
+	'<Style ss:ID="header"><Font ss:Bold="1"/></Style>' +
+	'<Style ss:ID="date"><NumberFormat ss:Format="yyyy\\-mm\\-dd"/></Style>' +
+	'<Style ss:ID="time"><NumberFormat ss:Format="hh:mm:ss"/></Style>' +
+	'<Style ss:ID="timestamp"><NumberFormat ss:Format="yyyy\\-mm\\-dd\\ hh:mm:ss"/></Style>' +
+	'</Styles>';
+
+// SpreadsheetML DateTime values, times are on the day 0 of Excel
+var SPREADSHEET_DATE_OPTIONS = dateFormat.normalize({
+	dateFormat: 'YYYY-MM-DD[T00:00:00.000]',
+	timeFormat: '[1899-12-31T]HH:mm:ss.SSS',
+	timestampFormat: 'YYYY-MM-DD[T]HH:mm:ss.SSS'
+});
+var EXCEL_MIN_DATE = '1900-03-01';	// Excel regards 1900 as a leap year, so earlier dates are written as text
+
+// returns the options with defaults, or an error if they are invalid
+function normalize(options) {
+	var dateOptions = dateFormat.normalize(options);
+	if (dateOptions instanceof Error) return dateOptions;
+
+	options = _.defaults(_.pick(options || {}, _.keys(DEFAULTS)), DEFAULTS);
+
+	if (!isName(options.rootElement))
+		return invalid('invalid rootElement: ' + options.rootElement);
+	if (!isName(options.rowElement))
+		return invalid('invalid rowElement: ' + options.rowElement);
+
+	return _.extend(options, dateOptions);
+}
+
+function invalid(message) {
+	var err = new Error(message);
+	err.code = 'EHDBPOOLPARAMS';
+	return err;
+}
+
+// <rows><row><ID>1</ID><NAME xsi:nil="true"/></row>...</rows>, one row per line
+// the column names are encoded into XML names by encodeName(), e.g. 'UNIT PRICE' -> UNIT_x0020_PRICE
+// options: {rootElement, rowElement} and the date options; options are normalized by normalize()
+function createXmlStringifier(metadata, options) {
+	var names = _.pluck(metadata, 'columnDisplayName'),
+		elements = _.map(names, encodeName),
+		formatters = _.map(metadata, function(column) {
+			var format = dateFormat.createFormatter(hdbTypeCodes[column.dataType+''], options);
+			return format ? _.compose(String, format) : toText;
+		}),
+		count = names.length,
+		rowStart = '<' + options.rowElement + '>',
+		rowEnd = '</' + options.rowElement + '>';
+
+	function stringify(row) {
+		var xml = rowStart, v;
+		for (var i = 0; i < count; i++) {
+			v = row[names[i]];
+			if (v === null || _.isUndefined(v))
+				xml += '<' + elements[i] + ' xsi:nil="true"/>';
+			else
+				xml += '<' + elements[i] + '>' + escape(formatters[i](v)) + '</' + elements[i] + '>';
+		}
+		return xml + rowEnd;
+	}
+
+	return new hdb.Stringifier({
+		header: XML_DECLARATION + '<' + options.rootElement + ' xmlns:xsi="' + XSI_NAMESPACE + '">\n',
+		footer: '\n</' + options.rootElement + '>\n',
+		seperator: '\n',
+		stringify: stringify
+	});
+}
+
+// Excel 2003 XML workbook with a single sheet, typed cells like the XLSX stringifier
+// options: {sheetName, header}, normalized by the normalize() of xlsx.js
+function createSpreadsheetMLStringifier(metadata, options) {
+	var names = _.pluck(metadata, 'columnDisplayName'),
+		cells = _.map(metadata, createCellWriter),
+		count = names.length;
+
+	var header = XML_DECLARATION + '<?mso-application progid="Excel.Sheet"?>\n' +
+		'<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">' +
+		SPREADSHEET_STYLES +
+		'<Worksheet ss:Name="' + escape(options.sheetName) + '"><Table>\n';
+
+	if (options.header) {
+		header += '<Row>' + _.map(names, function(name) {
+			return '<Cell ss:StyleID="header"><Data ss:Type="String">' + escape(name) + '</Data></Cell>';
+		}).join('') + '</Row>\n';
+	}
+
+	function stringify(row) {
+		var xml = '<Row>', v;
+		for (var i = 0; i < count; i++) {
+			v = row[names[i]];
+			xml += v === null || _.isUndefined(v) ? '<Cell/>' : cells[i](v);	// empty cells keep the position of the next ones
+		}
+		return xml + '</Row>';
+	}
+
+	return new hdb.Stringifier({
+		header: header,
+		footer: '\n</Table></Worksheet></Workbook>\n',
+		seperator: '\n',
+		stringify: stringify
+	});
+}
+
+// writer of the non-null values of a column: Number, Boolean and DateTime cells, String otherwise
+function createCellWriter(column) {
+	var typeName = hdbTypeCodes[column.dataType+''],
+		kind = dateFormat.KINDS[typeName];
+
+	if (numberFormat.isNumber(typeName)) {
+		return function(v) {
+			if (!_.isFinite(+v)) return dataCell('String', String(v));	// NaN or Infinity of doubles
+			return dataCell('Number', String(v));
+		};
+	}
+	if (typeName === 'BOOLEAN') {
+		return function(v) {
+			return dataCell('Boolean', v ? '1' : '0');
+		};
+	}
+	if (kind) {
+		var toDateTime = dateFormat.createFormatter(typeName, SPREADSHEET_DATE_OPTIONS),
+			toDateText = dateFormat.createFormatter(typeName, dateFormat.normalize({fractionalDigits: typeName === 'LONGDATE' ? 7 : 0}));
+
+		return function(v) {
+			var value = String(toDateTime(v));
+			if (kind !== 'time' && value.substring(0, 10) < EXCEL_MIN_DATE) return dataCell('String', String(toDateText(v)));
+			return dataCell('DateTime', value, kind);
+		};
+	}
+
+	return function(v) {
+		return dataCell('String', toText(v));
+	};
+}
+
+function dataCell(type, value, style) {
+	return '<Cell' + (style ? ' ss:StyleID="' + style + '"' : '') + '><Data ss:Type="' + type + '">' + escape(value) + '</Data></Cell>';
+}
+
+// binaries as hex, the rest as their string representation
+function toText(v) {
+	return Buffer.isBuffer(v) ? v.toString('hex') : String(v);
+}
+
+// escape the text or attribute value, and drop the characters not allowed in XML
+function escape(s) {
+	return s.replace(XML_INVALID_REGEXP, '').replace(XML_ESCAPE_REGEXP, function(c) {
+		return XML_ESCAPES[c];
+	});
+}
+
+// valid XML name of any string: the invalid characters are encoded as _xHHHH_ (like XmlConvert.EncodeName of .NET),
+// and so is the '_' of the text looking like an encoded character, e.g. 'A B' -> A_x0020_B, '1ST' -> _x0031_ST, '' -> _
+function encodeName(name) {
+	if (!name) return '_';
+
+	var encoded = '', c;
+	for (var i = 0; i < name.length; i++) {
+		c = name.charAt(i);
+
+		if (isSurrogatePair(name, i)) {	// the characters beyond the Basic Multilingual Plane are valid name characters
+			encoded += name.substring(i, i + 2);
+			i++;
+		} else if ((i === 0 ? NAME_START_CHAR_REGEXP : NAME_CHAR_REGEXP).test(c) && !(c === '_' && ENCODED_CHAR_REGEXP.test(name.substring(i)))) {
+			encoded += c;
+		} else {
+			encoded += '_x' + ('000' + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4) + '_';
+		}
+	}
+	return encoded;
+}
+
+function isSurrogatePair(s, i) {
+	var high = s.charCodeAt(i), low = s.charCodeAt(i + 1);
+	return high >= 0xd800 && high <= 0xdbff && low >= 0xdc00 && low <= 0xdfff;
+}
+
+function isName(name) {
+	return _.isString(name) && name !== '' && encodeName(name) === name;
+}
+
+exports.DEFAULTS = DEFAULTS;
+exports.normalize = normalize;
+exports.createXmlStringifier = createXmlStringifier;
+exports.createSpreadsheetMLStringifier = createSpreadsheetMLStringifier;
+exports.encodeName = encodeName;
+exports.escape = escape;
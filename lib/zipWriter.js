@@ -0,0 +1,174 @@
+// minimal streaming ZIP writer (deflate, no ZIP64), used by the XLSX stringifier
+// the archive is pushed into a readable stream (e.g. a Transform) part by part, so large entries are never held in memory
+
+var zlib = require('zlib'),
+	_ = require('underscore');
+
+var LOCAL_HEADER_SIGNATURE = 0x04034b50,
+	DATA_DESCRIPTOR_SIGNATURE = 0x08074b50,
+	CENTRAL_HEADER_SIGNATURE = 0x02014b50,
+	END_SIGNATURE = 0x06054b50;
+
+var VERSION = 20,	// 2.0: deflate
+	METHOD_DEFLATE = 8,
+	FLAG_DATA_DESCRIPTOR = 0x0008,	// crc and sizes follow the data of the streamed entries
+	MAX_SIZE = 0xffffffff;	// sizes and offsets are 32 bit without ZIP64
+
+var CRC_TABLE = _.map(_.range(256), function(n) {
+	for (var k = 0; k < 8; k++)
+		n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+	return n >>> 0;
+});
+
+// output: readable stream the archive is pushed into
+function ZipWriter(output) {
+	this.output = output;
+	this.offset = 0;	// bytes written so far
+	this.entries = [];	// for the central directory
+	this.deflate = null;	// deflate stream of the streamed entry
+	this.time = dosTime(new Date());
+}
+
+// add a small entry at once
+ZipWriter.prototype.addFile = function addFile(name, content) {
+	var data = Buffer.from(content, 'utf8'),
+		compressed = zlib.deflateRawSync(data),
+		entry = {name: name, flags: 0, crc: crc32(0, data), compressedSize: compressed.length, size: data.length, offset: this.offset};
+
+	this.push(localHeader(entry, this.time));
+	this.push(compressed);
+	this.entries.push(entry);
+};
+
+// start a streamed entry, its content is written by write() and finished by endFile()
+ZipWriter.prototype.startFile = function startFile(name) {
+	var me = this,
+		entry = {name: name, flags: FLAG_DATA_DESCRIPTOR, crc: 0, compressedSize: 0, size: 0, offset: this.offset};
+
+	this.push(localHeader(entry, this.time));
+	this.entries.push(entry);
+
+	this.deflate = zlib.createDeflateRaw();
+	this.deflate.on('data', function(chunk) {
+		entry.compressedSize += chunk.length;
+		if (!me.push(chunk)) me.deflate.pause();	// resumed by resume() when the output is read again
+	});
+};
+
+// cb is called when the output can take more data
+ZipWriter.prototype.write = function write(content, cb) {
+	var entry = _.last(this.entries),
+		data = Buffer.from(content, 'utf8');
+
+	entry.crc = crc32(entry.crc, data);
+	entry.size += data.length;
+	if (entry.size > MAX_SIZE) return cb(new Error('ZIP entry ' + entry.name + ' exceeds 4 GB'));
+
+	if (this.deflate.write(data)) return cb(null);
+	this.deflate.once('drain', function() {
+		cb(null);
+	});
+};
+
+ZipWriter.prototype.endFile = function endFile(cb) {
+	var me = this,
+		entry = _.last(this.entries);
+
+	this.deflate.on('end', function() {
+		me.deflate = null;
+
+		var descriptor = Buffer.alloc(16);
+		descriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+		descriptor.writeUInt32LE(entry.crc, 4);
+		descriptor.writeUInt32LE(entry.compressedSize, 8);
+		descriptor.writeUInt32LE(entry.size, 12);
+		me.push(descriptor);
+
+		cb(null);
+	});
+	this.deflate.end();
+};
+
+// write the central directory, the archive is complete afterwards
+ZipWriter.prototype.finish = function finish() {
+	var me = this,
+		start = this.offset;
+
+	_.each(this.entries, function(entry) {
+		me.push(centralHeader(entry, me.time));
+	});
+
+	var end = Buffer.alloc(22);
+	end.writeUInt32LE(END_SIGNATURE, 0);
+	end.writeUInt16LE(this.entries.length, 8);
+	end.writeUInt16LE(this.entries.length, 10);
+	end.writeUInt32LE(this.offset - start, 12);
+	end.writeUInt32LE(start, 16);
+	this.push(end);
+};
+
+ZipWriter.prototype.resume = function resume() {
+	if (this.deflate) this.deflate.resume();
+};
+
+// returns false if the output does not want more data for now
+ZipWriter.prototype.push = function push(buffer) {
+	this.offset += buffer.length;
+	return this.output.push(buffer);
+};
+
+function localHeader(entry, time) {
+	var name = Buffer.from(entry.name, 'utf8'),
+		header = Buffer.alloc(30);
+
+	header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+	header.writeUInt16LE(VERSION, 4);
+	header.writeUInt16LE(entry.flags, 6);
+	header.writeUInt16LE(METHOD_DEFLATE, 8);
+	header.writeUInt16LE(time.time, 10);
+	header.writeUInt16LE(time.date, 12);
+	header.writeUInt32LE(entry.crc, 14);	// 0 for streamed entries, see the data descriptor
+	header.writeUInt32LE(entry.compressedSize, 18);
+	header.writeUInt32LE(entry.size, 22);
+	header.writeUInt16LE(name.length, 26);
+	header.writeUInt16LE(0, 28);	// extra field length
+
+	return Buffer.concat([header, name]);
+}
+
+function centralHeader(entry, time) {
+	var name = Buffer.from(entry.name, 'utf8'),
+		header = Buffer.alloc(46);
+
+	header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+	header.writeUInt16LE(VERSION, 4);	// version made by
+	header.writeUInt16LE(VERSION, 6);	// version needed to extract
+	header.writeUInt16LE(entry.flags, 8);
+	header.writeUInt16LE(METHOD_DEFLATE, 10);
+	header.writeUInt16LE(time.time, 12);
+	header.writeUInt16LE(time.date, 14);
+	header.writeUInt32LE(entry.crc, 16);
+	header.writeUInt32LE(entry.compressedSize, 20);
+	header.writeUInt32LE(entry.size, 24);
+	header.writeUInt16LE(name.length, 28);
+	header.writeUInt32LE(entry.offset, 42);	// offset of the local header
+
+	return Buffer.concat([header, name]);
+}
+
+// MS-DOS date and time of the entries
+function dosTime(d) {
+	return {
+		time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+		date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+	};
+}
+
+function crc32(crc, data) {
+	crc = crc ^ 0xffffffff;
+	for (var i = 0; i < data.length; i++)
+		crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = ZipWriter;
@@ -7,7 +7,9 @@ var should = require('should'),
 	http = require('http'),
 	d3 = require('d3'),
 	loremIpsum = require('lorem-ipsum'),
-	os = require('os')
+	os = require('os'),
+	stream = require('stream'),
+	zlib = require('zlib')
 	;
 
 var hdbTypeCodes = _.invert(require('../node_modules/hdb/lib/protocol/common/TypeCode.js'));
@@ -686,6 +688,665 @@ describe('HDB pool /', function() {
 			});
 		});
 
+		describe('Promise API /', function() {
+			var hpool;
+
+			beforeEach(function() {
+				// create pool
+				hpool = hdbPool.createPool(_.extend(optsUserPass, {maxPoolSize: 3}));
+				checkPool(hpool);
+			});
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should return a promise if callback is omitted', function() {
+				return hpool.exec(sqls.function.create.sql, sqls.function.create.params)
+					.then(function() {
+						return hpool.exec(sqls.function.select.sql, sqls.function.select.params);
+					})
+					.then(function(rows) {
+						should.exist(rows);
+						rows.length.should.equal(1);
+						rows[0].PID.should.equal(3);
+						rows[0].PVALUE.should.equal('FUNCVALUE');
+						return hpool.exec(sqls.function.drop.sql, sqls.function.drop.params);
+					});
+			});
+
+			it('should accept an options object', function(done) {
+				hpool.exec({sql: sqls.function.create.sql, args: sqls.function.create.params}, function(err) {
+					should.not.exist(err);
+					hpool.exec({sql: sqls.function.select.sql, args: sqls.function.select.params}, function(err, rows) {
+						should.not.exist(err);
+						rows.length.should.equal(1);
+						rows[0].PID.should.equal(3);
+						hpool.exec({sql: sqls.function.drop.sql}, done);
+					});
+				});
+			});
+
+			it('should reject the promise on error', function() {
+				return hpool.meta({sql: 'SELECT * FROM HDBPOOLNOTEXISTING'})
+					.then(function() {
+						throw new Error('should have been rejected');
+					}, function(err) {
+						should.exist(err);
+						should.exist(err.code);
+					});
+			});
+		});
+
+		describe('Named parameters /', function() {
+			var hpool;
+
+			beforeEach(function() {
+				hpool = hdbPool.createPool(_.extend(optsUserPass, {maxPoolSize: 1}));
+			});
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should bind named parameters', function() {
+				return hpool.exec('SELECT :a AS A, \':b\' AS "B:" /* :c */, :b AS B, :a + 1 AS C FROM DUMMY', {a: 1, b: 'VALUE'})
+					.then(function(rows) {
+						rows[0].A.should.equal(1);
+						rows[0]['B:'].should.equal(':b');
+						rows[0].B.should.equal('VALUE');
+						rows[0].C.should.equal(2);
+					});
+			});
+
+			it('should fail if a named parameter is missing', function() {
+				return hpool.exec('SELECT :a AS A, :b AS B FROM DUMMY', {a: 1})
+					.then(function() {
+						throw new Error('should have been rejected');
+					}, function(err) {
+						err.code.should.equal('EHDBPOOLPARAMS');
+						err.message.should.match(/b/);
+					});
+			});
+
+			it('should fail if a named parameter is not used', function() {
+				return hpool.exec('SELECT :a AS A FROM DUMMY', {a: 1, b: 2})
+					.then(function() {
+						throw new Error('should have been rejected');
+					}, function(err) {
+						err.code.should.equal('EHDBPOOLPARAMS');
+						err.message.should.match(/b/);
+					});
+			});
+		});
+
+		describe('Timeout and cancellation /', function() {
+			var hpool,
+				slowSql = 'SELECT COUNT(*) AS CNT FROM OBJECTS A, OBJECTS B, OBJECTS C';
+
+			beforeEach(function() {
+				// create pool
+				hpool = hdbPool.createPool(_.extend(_.clone(optsUserPass), {maxPoolSize: 1}));
+				checkPool(hpool);
+			});
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should fail with a timeout error and keep the pool usable', function(done) {
+				this.timeout(20000);
+
+				hpool.exec({sql: slowSql, timeout: 200}, function(err) {
+					should.exist(err);
+					err.code.should.equal('EHDBPOOLTIMEOUT');
+
+					// the only resource should be available again
+					hpool.exec('SELECT 1 AS ONE FROM DUMMY', [], function(err, rows) {
+						should.not.exist(err);
+						rows[0].ONE.should.equal(1);
+						done();
+					});
+				});
+			});
+
+			it('should use the default timeout of the pool', function(done) {
+				this.timeout(20000);
+
+				var hpoolWithTimeout = hdbPool.createPool(_.extend(_.clone(optsUserPass), {maxPoolSize: 1, queryTimeoutMillis: 200}));
+				hpoolWithTimeout.exec(slowSql, [], function(err) {
+					should.exist(err);
+					err.code.should.equal('EHDBPOOLTIMEOUT');
+					drainPool(hpoolWithTimeout, done);
+				});
+			});
+
+			it('should fail with an abort error if the signal is aborted', function() {
+				this.timeout(20000);
+
+				var controller = new AbortController();
+				setTimeout(function() {
+					controller.abort();
+				}, 200);
+
+				return hpool.exec({sql: slowSql, signal: controller.signal})
+					.then(function() {
+						throw new Error('should have been rejected');
+					}, function(err) {
+						err.code.should.equal('EHDBPOOLABORT');
+					});
+			});
+		});
+
+		describe('Transactions /', function() {
+			var hpool;
+
+			before(function(done) {
+				hpool = hdbPool.createPool(_.extend(optsUserPass, {maxPoolSize: 3}));
+				hpool.exec(sqls.table.create.sql, sqls.table.create.params, done);
+			});
+
+			after(function(done) {
+				hpool.exec(sqls.table.drop.sql, sqls.table.drop.params, function() {
+					drainPool(hpool, done);
+				});
+			});
+
+			function countRows(cb) {
+				hpool.exec('SELECT COUNT(*) AS CNT FROM HDBPOOLTEST', [], function(err, rows) {
+					should.not.exist(err);
+					cb(rows[0].CNT);
+				});
+			}
+
+			it('should commit the transaction if the function succeeds', function() {
+				return hpool.transaction(function(tx) {
+					return tx.exec(sqls.table.insert.sql, [10, 'TX1'])
+						.then(function() {
+							return tx.exec(sqls.table.insert.sql, [11, 'TX2']);
+						})
+						.then(function() {
+							return 'result';
+						});
+				}).then(function(result) {
+					result.should.equal('result');
+					return hpool.exec('SELECT * FROM HDBPOOLTEST WHERE A IN (10, 11)');
+				}).then(function(rows) {
+					rows.length.should.equal(2);
+				});
+			});
+
+			it('should roll back the transaction if the function fails', function(done) {
+				countRows(function(before) {
+					hpool.transaction(function(tx, txDone) {
+						tx.exec(sqls.table.insert.sql, [12, 'TX3'], function(err) {
+							should.not.exist(err);
+							tx.exec('INSERT INTO HDBPOOLNOTEXISTING VALUES (1)', [], txDone);
+						});
+					}, function(err) {
+						should.exist(err);
+						countRows(function(after) {
+							after.should.equal(before);
+							done();
+						});
+					});
+				});
+			});
+
+			it('should roll back to a savepoint', function() {
+				return hpool.transaction({isolationLevel: 'SERIALIZABLE'}, function(tx) {
+					return tx.exec(sqls.table.insert.sql, [13, 'TX4'])
+						.then(function() { return tx.savepoint('SP1'); })
+						.then(function() { return tx.exec(sqls.table.insert.sql, [14, 'TX5']); })
+						.then(function() { return tx.rollbackTo('SP1'); });
+				}).then(function() {
+					return hpool.exec('SELECT * FROM HDBPOOLTEST WHERE A IN (13, 14)');
+				}).then(function(rows) {
+					rows.length.should.equal(1);
+					rows[0].A.should.equal(13);
+				});
+			});
+
+			it('should insert rows in batches', function() {
+				var rows = _.map(_.range(100, 105), function(i) {
+					return [i, 'BATCH' + i];
+				});
+
+				return hpool.execBatch(sqls.table.insert.sql, rows, {chunkSize: 2}).then(function(result) {
+					result.rowCount.should.equal(5);
+					result.chunks.should.eql([2, 2, 1]);
+					return hpool.exec('SELECT * FROM HDBPOOLTEST WHERE A >= 100 AND A < 105');
+				}).then(function(rows) {
+					rows.length.should.equal(5);
+				});
+			});
+
+			it('should roll back the whole batch in a transaction', function(done) {
+				countRows(function(before) {
+					hpool.execBatch(sqls.table.insert.sql, [[110, 'BATCH1'], [111, 'BATCH2'], [112, 'VALUE TOO LONG FOR COLUMN B']], {chunkSize: 2, transaction: true}, function(err) {
+						should.exist(err);
+						countRows(function(after) {
+							after.should.equal(before);
+							done();
+						});
+					});
+				});
+			});
+
+			it('should not accept an invalid isolation level', function(done) {
+				hpool.transaction({isolationLevel: 'DIRTY READ'}, function() {}, function(err) {
+					should.exist(err);
+					err.code.should.equal('EHDBPOOLPARAMS');
+					done();
+				});
+			});
+		});
+
+		describe('Retry /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should retry connection creation on network errors /', function(done) {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {port: 1, retry: {maxAttempts: 3, initialDelayMillis: 10}}));
+				hpool.exec('SELECT * FROM DUMMY', [], function(err) {
+					should.exist(err);
+					err.code.should.equal('EHDBOPENCONN');
+					hpool.getRetryStats().connect.should.equal(2);
+					done();
+				});
+			});
+
+			it('should retry a read query if the connection is closed /', function(done) {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {retry: {maxAttempts: 2, initialDelayMillis: 10}}));
+
+				// the first client fails like node-hdb does when the server closes the connection
+				var acquire = hpool.pool.acquire, failed = false;
+				hpool.pool.acquire = function(cb, priority) {
+					return acquire.call(hpool.pool, function(err, client) {
+						if (!err && !failed) {
+							failed = true;
+							var exec = client.exec;
+							client.exec = function(sql, options, execCb) {
+								client.exec = exec;
+								var closeErr = new Error('Connection closed by server');
+								closeErr.code = 'EHDBCLOSE';
+								setImmediate(execCb, closeErr);
+							};
+						}
+						cb(err, client);
+					}, priority);
+				};
+
+				hpool.exec('SELECT * FROM DUMMY', [], function(err, rows) {
+					should.not.exist(err);
+					rows.length.should.equal(1);
+					hpool.getRetryStats().query.should.equal(1);
+					done();
+				});
+			});
+
+			it('should not retry by default /', function(done) {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {port: 1}));
+				hpool.exec('SELECT * FROM DUMMY', [], function(err) {
+					should.exist(err);
+					hpool.getRetryStats().connect.should.equal(0);
+					done();
+				});
+			});
+		});
+
+		describe('Connection validation /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should replace connections failing the validation /', function() {
+				var sql = 'SELECT CURRENT_CONNECTION AS ID FROM DUMMY', firstId;
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {
+					maxPoolSize: 1,
+					validateOnBorrow: true,
+					validationQuery: 'SELECT * FROM HDBPOOLNOTEXISTING'	// fails every time
+				}));
+
+				return hpool.exec(sql).then(function(rows) {
+					firstId = rows[0].ID;
+					return hpool.exec(sql);
+				}).then(function(rows) {
+					rows[0].ID.should.not.equal(firstId);
+				});
+			});
+
+			it('should keep connections passing the validation /', function() {
+				var sql = 'SELECT CURRENT_CONNECTION AS ID FROM DUMMY', firstId;
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1, validateOnBorrow: true}));
+
+				return hpool.exec(sql).then(function(rows) {
+					firstId = rows[0].ID;
+					return hpool.exec(sql);
+				}).then(function(rows) {
+					rows[0].ID.should.equal(firstId);
+				});
+			});
+		});
+
+		describe('Events /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should emit lifecycle events /', function() {
+				var events = [];
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1}));
+				_.each(['connect', 'acquire', 'release', 'queryStart', 'queryEnd', 'queryError'], function(name) {
+					hpool.on(name, function(e) {
+						events.push(name);
+						if (name === 'queryEnd') {
+							e.sql.should.equal('SELECT ? AS A FROM DUMMY');
+							e.argsCount.should.equal(1);
+							e.durationMillis.should.be.aboveOrEqual(0);
+						}
+					});
+				});
+
+				return hpool.exec('SELECT ? AS A FROM DUMMY', [1]).then(function() {
+					return hpool.exec('SELECT * FROM HDBPOOLNOTEXISTING').catch(function() {});
+				}).then(function() {
+					events.should.eql(['connect', 'acquire', 'queryStart', 'release', 'queryEnd', 'acquire', 'queryStart', 'release', 'queryError']);
+				});
+			});
+
+			it('should emit connectError /', function(done) {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {port: 1}));
+				hpool.on('connectError', function(e) {
+					should.exist(e.error);
+					e.attempts.should.equal(1);
+					done();
+				});
+				hpool.exec('SELECT * FROM DUMMY', [], function() {});
+			});
+		});
+
+		describe('Metrics /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should render pool and query metrics /', function() {
+				var registry = new hdbPool.MetricsRegistry();
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 2, metrics: registry}));
+
+				return hpool.exec('SELECT * FROM DUMMY').then(function() {
+					var text = registry.render();
+					text.should.match(/^hdbpool_connections_max\{env="[^"]*",user="[^"]*"\} 2$/m);
+					text.should.match(/^hdbpool_connections_created_total\{[^}]*\} 1$/m);
+					text.should.match(/^hdbpool_query_duration_seconds_count\{[^}]*mode="exec"\} 1$/m);
+					text.should.match(/^hdbpool_query_wait_seconds_count\{[^}]*priority="normal",result="acquired"\} 1$/m);
+				});
+			});
+
+			it('should remove the series of an unregistered pool /', function() {
+				var registry = new hdbPool.MetricsRegistry();
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {metrics: registry}));
+
+				return hpool.exec('SELECT * FROM DUMMY').then(function() {
+					registry.unregister(hpool);
+					registry.render().should.not.match(/^hdbpool_[a-z_]+\{/m);
+				});
+			});
+		});
+
+		describe('Slow query log /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should log slow queries with redacted args /', function() {
+				var entries = [];
+				var sink = new stream.Writable({
+					write: function(chunk, encoding, next) {
+						entries.push(JSON.parse(chunk.toString()));
+						next();
+					}
+				});
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {slowQuery: {durationMillis: 1, stream: sink}}));
+
+				return hpool.exec('SELECT * FROM M_TABLES WHERE SCHEMA_NAME = ?', ['SYS']).then(function(rows) {
+					entries.length.should.equal(1);
+					entries[0].sql.should.equal('SELECT * FROM M_TABLES WHERE SCHEMA_NAME = ?');
+					entries[0].args.should.equal('[1 redacted]');
+					entries[0].rowCount.should.equal(rows.length);
+					entries[0].durationMillis.should.be.aboveOrEqual(1);
+				});
+			});
+		});
+
+		describe('Structured logging /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should write JSON records with the context of the pool /', function() {
+				var records = [];
+				var sink = new stream.Writable({
+					write: function(chunk, encoding, next) {
+						records.push(JSON.parse(chunk.toString()));
+						next();
+					}
+				});
+
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {logger: hdbPool.createJsonLogger({stream: sink, level: 'trace'})}));
+				var otherPool = hdbPool.createPool(_.extend({}, optsUserPass, {env: 'OTHER'}));	// must not take over the logger
+
+				return hpool.exec('SELECT * FROM NOT_EXISTING_TABLE').then(function() {
+					throw new Error('should have been rejected');
+				}, function() {
+					var error = _.findWhere(records, {event: 'queryError'});
+					error.level.should.equal('error');
+					error.env.should.equal(hpool.env);
+					error.user.should.equal(hpool.user);
+					error.requestId.should.be.a.String();
+					error.code.should.be.a.Number();
+					_.where(records, {env: 'OTHER'}).length.should.equal(0);
+					return otherPool.close();
+				});
+			});
+		});
+
+		describe('Pool exhaustion /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			function shouldBeExhausted(promise) {
+				return promise.then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					err.code.should.equal('EHDBPOOLEXHAUSTED');
+					err.statusCode.should.equal(503);
+					err.retryAfter.should.equal(1);
+				});
+			}
+
+			it('should time out waiting for a free connection /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1, acquireTimeoutMillis: 100}));
+
+				// the transaction keeps the only connection busy
+				return hpool.transaction(function() {
+					return shouldBeExhausted(hpool.exec('SELECT * FROM DUMMY'));
+				});
+			});
+
+			it('should reject callers over the max number of waiting clients at once /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1, maxWaitingClients: 1}));
+
+				var waiting;
+
+				return hpool.transaction(function() {
+					waiting = hpool.exec('SELECT * FROM DUMMY');
+					return shouldBeExhausted(hpool.exec('SELECT * FROM DUMMY'));
+				}).then(function() {
+					return waiting;	// served once the transaction has given back the connection
+				}).then(function(rows) {
+					rows.length.should.equal(1);
+				});
+			});
+		});
+
+		describe('Priorities /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should serve the waiting high priority callers first /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1}));
+
+				var served = [], queries;
+
+				return hpool.transaction(function() {
+					queries = _.map(['low', 'normal', 'high'], function(priority) {
+						return hpool.exec({sql: 'SELECT * FROM DUMMY', priority: priority}).then(function() {
+							served.push(priority);
+						});
+					});
+
+					var positions = hpool.getQueuePositions();
+					positions.high.length.should.equal(1);
+					positions.normal.length.should.equal(1);
+					positions.low.length.should.equal(1);
+				}).then(function() {
+					return Promise.all(queries);
+				}).then(function() {
+					served.should.eql(['high', 'normal', 'low']);
+				});
+			});
+
+			it('should reserve connections for high priority callers /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 2, highPriorityConnections: 1}));
+
+				var normal;
+
+				// the transaction uses the only connection which is not reserved
+				return hpool.transaction(function() {
+					normal = hpool.exec('SELECT * FROM DUMMY');
+					hpool.getQueuePositions().normal.length.should.equal(1);
+
+					return hpool.exec({sql: 'SELECT * FROM DUMMY', priority: 'high'});
+				}).then(function(rows) {
+					rows.length.should.equal(1);
+					return normal;
+				}).then(function(rows) {
+					rows.length.should.equal(1);
+				});
+			});
+
+			it('should not accept an invalid priority /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass));
+
+				return hpool.exec({sql: 'SELECT * FROM DUMMY', priority: 'urgent'}).then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					err.code.should.equal('EHDBPOOLPARAMS');
+				});
+			});
+		});
+
+		describe('Close /', function() {
+			it('should wait for in-flight queries and reject new ones /', function() {
+				var hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1, minPoolSize: 1}));
+				var running = hpool.exec('SELECT * FROM DUMMY');
+
+				return Promise.all([running, hpool.close()]).then(function(results) {
+					results[0].length.should.equal(1);
+					hpool.pool.getPoolSize().should.equal(0);
+					return hpool.exec('SELECT * FROM DUMMY');
+				}).then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					err.code.should.equal('EHDBPOOLCLOSED');
+				});
+			});
+
+			it('should destroy the connections in use after the timeout /', function() {
+				this.timeout(20000);
+
+				var hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1}));
+				var running = hpool.exec('SELECT COUNT(*) AS CNT FROM OBJECTS A, OBJECTS B, OBJECTS C').then(function() {
+					throw new Error('should have been rejected');
+				}, function(err) {
+					should.exist(err);
+				});
+
+				return new Promise(function(resolve) {
+					setTimeout(resolve, 500);	// statement is running
+				}).then(function() {
+					return hpool.close({timeout: 100});
+				}).then(function() {
+					hpool.pool.getPoolSize().should.equal(0);
+					return running;
+				});
+			});
+		});
+
+		describe('Prepared statement cache /', function() {
+			var hpool;
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should reuse prepared statements /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {maxPoolSize: 1, statementCacheSize: 1}));
+				return hpool.exec('SELECT ? AS A FROM DUMMY', [1])
+					.then(function() { return hpool.exec('SELECT ? AS A FROM DUMMY', [2]); })
+					.then(function(rows) {
+						rows[0].A.should.equal(2);
+						return hpool.exec('SELECT ? AS B FROM DUMMY', [3]);
+					})
+					.then(function() {
+						var stats = hpool.getStatementCacheStats();
+						stats.hits.should.equal(1);
+						stats.misses.should.equal(2);
+						stats.evictions.should.equal(1);
+						stats.cached.should.equal(1);
+					});
+			});
+
+			it('should not cache statements if the cache is disabled /', function() {
+				hpool = hdbPool.createPool(_.extend({}, optsUserPass, {statementCacheSize: 0}));
+				return hpool.exec('SELECT ? AS A FROM DUMMY', [1])
+					.then(function() { return hpool.exec('SELECT ? AS A FROM DUMMY', [1]); })
+					.then(function() {
+						var stats = hpool.getStatementCacheStats();
+						stats.hits.should.equal(0);
+						stats.misses.should.equal(2);
+						stats.cached.should.equal(0);
+					});
+			});
+		});
+
 		describe('Stresstest /', function() {
 			before(function() {
 				//this.skip();
@@ -1039,6 +1700,26 @@ describe('HDB pool /', function() {
 					stream(sql, ['c1r2'], req, res, hdbPool.createJSONStringifier);
 				});
 
+				app.get('/stream/ndjsontest', function(req, res) {
+					var sql = 'SELECT \'c1r1\' AS COL1, 1 AS COL2 FROM DUMMY \
+								UNION \
+								SELECT \'c1r2\' AS COL1, 2 AS COL2 FROM DUMMY';
+					stream(sql, [], req, res, hdbPool.createNdjsonStringifier({header: true}));
+				});
+
+				app.get('/stream/compactjsontest', function(req, res) {
+					var sql = 'SELECT \'c1r1\' AS COL1, \'c2r1\' AS COL2 FROM DUMMY \
+								UNION \
+								SELECT \'c1r2\' AS COL1, \'c2r2\' AS COL2 FROM DUMMY \
+								ORDER BY COL1';
+					stream(sql, [], req, res, hdbPool.createCompactJSONStringifier({layout: req.query.layout}));
+				});
+
+				app.get('/stream/xmltest', function(req, res) {
+					var sql = 'SELECT \'c1r1\' AS "COL 1", NULL AS COL2 FROM DUMMY';
+					stream(sql, [], req, res, hdbPool.createXmlStringifier({rowElement: 'item'}));
+				});
+
 				app.get('/stream/headertest', function(req, res) {
 					var sql = 'SELECT \'c1r1\' AS COL1, \'c2r1\' AS COL2  FROM DUMMY';
 					stream(sql, [], req, res, hdbPool.createJSONStringifier);
@@ -1050,6 +1731,11 @@ describe('HDB pool /', function() {
 					stream(sql, [], req, res, hdbPool.createCsvStringifier);
 				});
 
+				app.get('/stream/tsvtest', function(req, res) {
+					var sql = 'SELECT \'c1r1\' AS COL1, NULL AS COL2 FROM DUMMY';
+					stream(sql, [], req, res, hdbPool.createDsvStringifier({separator: '\t', lineEnding: '\r\n', nullValue: 'NA', quote: 'all', bom: true}));
+				});
+
 				app.get('/stream/csvtest', function(req, res) {
 					var sql = 'SELECT \'c1r1\' AS COL1, \'c2r1\' AS COL2  FROM DUMMY \
 								UNION \
@@ -1071,6 +1757,11 @@ describe('HDB pool /', function() {
 					stream(sql, ['c1r2'], req, res, hdbPool.createCsvStringifier);
 				});
 
+				app.get('/stream/slow', function(req, res) {
+					var sql = 'SELECT COUNT(*) AS CNT FROM OBJECTS A, OBJECTS B, OBJECTS C';
+					stream(sql, [], req, res, hdbPool.createCsvStringifier);
+				});
+
 				srv = app.listen(3000, done);
 			});
 
@@ -1130,6 +1821,49 @@ describe('HDB pool /', function() {
 				});
 			});
 
+			it('should stream query as NDJSON with a metadata line /', function(done) {
+				http.get({host: 'localhost', port: port, path: '/stream/ndjsontest'}, function(res) {
+					getResponseAsString(res, function(respStr) {
+						var lines = respStr.split('\n');
+						lines.length.should.equal(4);
+						lines[3].should.equal('');	// every line ends with a line break
+
+						var header = JSON.parse(lines[0]);
+						_.pluck(header.columns, 'name').should.eql(['COL1', 'COL2']);
+						header.columns[1].type.should.equal('INT');
+
+						_.sortBy(_.map(lines.slice(1, 3), JSON.parse), 'COL1').should.eql([{COL1: 'c1r1', COL2: 1}, {COL1: 'c1r2', COL2: 2}]);
+						done();
+					});
+				});
+			});
+
+			it('should stream query as compact JSON /', function(done) {
+				http.get({host: 'localhost', port: port, path: '/stream/compactjsontest'}, function(res) {
+					getResponseAsString(res, function(respStr) {
+						var json = JSON.parse(respStr);
+						_.pluck(json.columns, 'name').should.eql(['COL1', 'COL2']);
+						json.rows.should.eql([['c1r1', 'c2r1'], ['c1r2', 'c2r2']]);
+
+						http.get({host: 'localhost', port: port, path: '/stream/compactjsontest?layout=columns'}, function(res) {
+							getResponseAsString(res, function(respStr) {
+								JSON.parse(respStr).blocks.should.eql([{values: [['c1r1', 'c1r2'], ['c2r1', 'c2r2']]}]);
+								done();
+							});
+						});
+					});
+				});
+			});
+
+			it('should stream query as XML /', function(done) {
+				http.get({host: 'localhost', port: port, path: '/stream/xmltest'}, function(res) {
+					getResponseAsString(res, function(respStr) {
+						respStr.should.containEql('<item><COL_x0020_1>c1r1</COL_x0020_1><COL2 xsi:nil="true"/></item>');
+						done();
+					});
+				});
+			});
+
 			it('should have default headers with custom prefix if configured /', function(done) {
 				http.get({host: 'localhost', port: port, path: '/stream/headertest'}, function(res) {
 					//console.log(res.headers);
@@ -1159,6 +1893,15 @@ describe('HDB pool /', function() {
 				});
 			});
 
+			it('should stream query as configured DSV /', function(done) {
+				http.get({host: 'localhost', port: port, path: '/stream/tsvtest'}, function(res) {
+					getResponseAsString(res, function(respStr) {
+						respStr.should.equal('\ufeff"COL1"\t"COL2"\r\n"c1r1"\tNA');
+						done();
+					});
+				});
+			});
+
 			it('should stream query as CSV /', function(done) {
 				http.get({host: 'localhost', port: port, path: '/stream/csvtest'}, function(res) {
 					getResponseAsString(res, function(respStr) {
@@ -1209,10 +1952,479 @@ describe('HDB pool /', function() {
 				});
 			});
 
+			it('should cancel the running statement if the client drops the request /', function(done) {
+				this.timeout(20000);
+
+				var clientReq = http.get({host: 'localhost', port: port, path: '/stream/slow'});
+				clientReq.on('error', function() {});	// socket hang up
+
+				setTimeout(function() {
+					var entry = _.values(hpool.reqQueue)[0];
+					should.exist(entry);
+					_.values(entry.queries).should.eql(['running']);
+
+					clientReq.abort();
+
+					// wait for the statement to be cancelled and the resource to be released
+					setTimeout(function() {
+						hpool.pool.inUseObjectsCount().should.equal(0);
+						http.get({host: 'localhost', port: port, path: '/stream/csvtest'}, function(res) {
+							getResponseAsString(res, function(respStr) {
+								d3.csv.parse(respStr).length.should.equal(2);
+								done();
+							});
+						});
+					}, 3000);
+				}, 1000);
+			});
+
 			// TODO add more test focusing on unexpectedly closed HTTP connection
 		});
 	});
 
+	describe('DSV stringifier /', function() {
+		var NVARCHAR = 11, INT = 3;
+
+		// stringify the rows with the given column names, and parse the output as CSV
+		function stringify(names, rows, cb) {
+			var metadata = _.map(names, function(name) {
+				return {columnDisplayName: name, dataType: NVARCHAR};
+			});
+
+			var stringifier = hdbPool.createCsvStringifier(metadata),
+				out = '';
+
+			stringifier.on('data', function(chunk) {
+				out += chunk;
+			});
+			stringifier.on('end', function() {
+				cb(d3.csv.parseRows(out));
+			});
+			stringifier.end(rows);
+		}
+
+		it('should not evaluate hostile column names /', function(done) {
+			var hostile = ['a\'b', 'c\\d', '\'];process.exit(1);//', '\'+(global.hdbPoolPwned = 1)+\''];
+			var row = _.object(hostile, ['1', '2', '3', '4']);
+
+			stringify(hostile, [row], function(lines) {
+				lines[0].should.eql(hostile);
+				lines[1].should.eql(['1', '2', '3', '4']);
+				should.not.exist(global.hdbPoolPwned);
+				done();
+			});
+		});
+
+		it('should stringify duplicate column names /', function(done) {
+			// rows are objects keyed by the display name, so both columns hold the value of the last one
+			stringify(['A', 'A', 'B'], [{A: 'x', B: 'y'}], function(lines) {
+				lines[0].should.eql(['A', 'A', 'B']);
+				lines[1].should.eql(['x', 'x', 'y']);
+				done();
+			});
+		});
+
+		it('should stringify empty and \'\' display names /', function(done) {
+			stringify(['', '\'\'', 'B'], [{'': 'e', '\'\'': 'q', B: null}], function(lines) {
+				lines[0].should.eql(['', '\'\'', 'B']);
+				lines[1].should.eql(['e', 'q', '\\N']);
+				done();
+			});
+		});
+
+		it('should format binary and numeric columns /', function(done) {
+			var stringifier = hdbPool.createDsvStringifier([
+				{columnDisplayName: 'ID', dataType: INT},
+				{columnDisplayName: 'HASH', dataType: 13}	// VARBINARY
+			], {separator: '|', header: false});
+
+			var out = '';
+			stringifier.on('data', function(chunk) {
+				out += chunk;
+			});
+			stringifier.on('end', function() {
+				out.should.equal('1|cafe\n\\N|\\N');
+				done();
+			});
+			stringifier.end([{ID: 1, HASH: new Buffer('cafe', 'hex')}, {ID: null, HASH: null}]);
+		});
+
+		it('should format numbers with the given separators and the scale of the column /', function(done) {
+			var stringifier = hdbPool.createCsvStringifier([
+				{columnDisplayName: 'ID', dataType: INT},
+				{columnDisplayName: 'PRICE', dataType: 5, fraction: 2},	// DECIMAL(p,2)
+				{columnDisplayName: 'AMOUNT', dataType: 5, fraction: 32767}	// floating DECIMAL
+			], {header: false, decimalSeparator: ',', thousandsSeparator: '.', fixedScale: true});
+
+			var out = '';
+			stringifier.on('data', function(chunk) {
+				out += chunk;
+			});
+			stringifier.on('end', function() {
+				d3.csv.parseRows(out).should.eql([
+					['1.234.567', '12.345.678.901.234.567.890,46', '1.234,5'],
+					['-5', '-1,00', '-0,00000015'],
+					['\\N', '0,00', '\\N']
+				]);
+				done();
+			});
+			// hdb returns DECIMAL as strings, which exceed the precision of a double here
+			stringifier.end([
+				{ID: 1234567, PRICE: '12345678901234567890.455', AMOUNT: '1.2345e+3'},
+				{ID: -5, PRICE: '-0.995', AMOUNT: '-1.5e-7'},
+				{ID: null, PRICE: '-0.001', AMOUNT: null}
+			]);
+		});
+
+		describe('dates /', function() {
+			// values as hdb returns them: day number - 1, seconds, and 100 ns units
+			var metadata = [
+				{columnDisplayName: 'D', dataType: 63},	// DAYDATE
+				{columnDisplayName: 'T', dataType: 64},	// SECONDTIME
+				{columnDisplayName: 'SD', dataType: 62},	// SECONDDATE
+				{columnDisplayName: 'LD', dataType: 61}	// LONGDATE
+			];
+			var rows = [{D: 736146, T: 3661, SD: 63603223261, LD: '636032232611234567'}, {D: null, T: null, SD: null, LD: null}];
+
+			function stringifyDates(stringifier, cb) {
+				var out = '';
+				stringifier.on('data', function(chunk) {
+					out += chunk;
+				});
+				stringifier.on('end', function() {
+					cb(out);
+				});
+				stringifier.end(rows);
+			}
+
+			it('should format dates as ISO 8601 in UTC by default /', function(done) {
+				stringifyDates(hdbPool.createSsvStringifier(_.map(metadata, _.clone), {header: false}), function(out) {
+					out.should.equal('2016-06-30;01:01:01;2016-07-02T10:01:01;2016-07-02T10:01:01\n\\N;\\N;\\N;\\N');
+					done();
+				});
+			});
+
+			it('should format timestamps in the given timezone /', function(done) {
+				stringifyDates(hdbPool.createDsvStringifier(_.map(metadata, _.clone), {
+					header: false,
+					dateFormat: 'DD.MM.YYYY',
+					timestampFormat: 'DD.MM.YYYY HH:mm:ss.SSSSSSS Z',
+					timezone: 'Europe/Berlin',
+					fractionalDigits: 3
+				}), function(out) {
+					out.split('\n')[0].should.equal('30.06.2016;01:01:01.000;02.07.2016 12:01:01.0000000 +02:00;02.07.2016 12:01:01.1234567 +02:00');
+					done();
+				});
+			});
+
+			it('should format dates as epoch milliseconds in JSON /', function(done) {
+				stringifyDates(hdbPool.createJSONStringifier({epochMillis: true})(_.map(metadata, _.clone)), function(out) {
+					JSON.parse(out).should.eql([{D: 1467244800000, T: 3661000, SD: 1467453661000, LD: 1467453661123}, {D: null, T: null, SD: null, LD: null}]);
+					done();
+				});
+			});
+
+			it('should reject an invalid timezone /', function() {
+				(function() {
+					hdbPool.createCsvStringifier(metadata, {timezone: 'Mars/Olympus'});
+				}).should.throw({code: 'EHDBPOOLPARAMS'});
+			});
+		});
+	});
+
+	describe('Compact JSON stringifier /', function() {
+		var metadata = [
+			{columnDisplayName: 'ID', dataType: 3},	// INT
+			{columnDisplayName: 'ID', dataType: 11},	// NVARCHAR, e.g. SELECT A.ID, B.ID
+			{columnDisplayName: 'BIRTH', dataType: 63}	// DAYDATE
+		];
+
+		// the output of the stringifier, and the parts written before the end
+		function stringify(options, chunks, cb) {
+			var stringifier = hdbPool.createCompactJSONStringifier(options)(metadata),
+				out = '';
+
+			stringifier.on('data', function(data) {
+				out += data;
+			});
+			stringifier.on('end', function() {
+				cb(JSON.parse(out));
+			});
+			_.each(chunks, function(chunk) {
+				stringifier.write(chunk);
+			});
+			stringifier.end();
+		}
+
+		it('should read the row arrays by index /', function(done) {
+			hdbPool.createCompactJSONStringifier({}).rowsAsArray.should.equal(true);
+
+			stringify({dateFormat: 'DD.MM.YYYY'}, [[[1, 'a', 736146], [2, null, null]]], function(json) {
+				_.pluck(json.columns, 'name').should.eql(['ID', 'ID', 'BIRTH']);
+				json.columns[1].type.should.equal('NVARCHAR');
+				json.rows.should.eql([[1, 'a', '30.06.2016'], [2, null, null]]);	// 2016-06-30
+				done();
+			});
+		});
+
+		it('should write a block of column arrays per chunk /', function(done) {
+			var stringifier = hdbPool.createCompactJSONStringifier({layout: 'columns'})(metadata),
+				parts = [];
+
+			stringifier.on('data', function(data) {
+				parts.push(data.toString());
+			});
+			stringifier.on('end', function() {
+				var json = JSON.parse(parts.join(''));
+				json.blocks.should.eql([{values: [[1, 2], ['a', 'b'], [736146, null]]}, {values: [[3], ['c'], [null]]}]);
+				done();
+			});
+
+			stringifier.write([[1, 'a', 736146], [2, 'b', null]]);
+			parts.length.should.equal(1);	// written before the end of the result set
+			stringifier.write([[3, 'c', null]]);
+			stringifier.end();
+		});
+
+		it('should write the envelope of an empty result set /', function(done) {
+			stringify({layout: 'columns'}, [], function(json) {
+				json.columns.length.should.equal(3);
+				json.blocks.should.eql([]);
+				done();
+			});
+		});
+
+		describe('exec /', function() {
+			var hpool;
+
+			beforeEach(function() {
+				hpool = hdbPool.createPool(_.extend(_.clone(poolOpts), {user: config.user, password: config.password, maxPoolSize: 1}));
+			});
+
+			afterEach(function(done) {
+				drainPool(hpool, done);
+			});
+
+			it('should return the compact JSON layout /', function() {
+				var sql = 'SELECT 1 AS ID, \'a\' AS NAME FROM DUMMY UNION ALL SELECT 2 AS ID, NULL AS NAME FROM DUMMY ORDER BY ID';
+
+				return hpool.exec({sql: sql, layout: 'rows'})
+					.then(function(result) {
+						_.pluck(result.columns, 'name').should.eql(['ID', 'NAME']);
+						result.columns[0].type.should.equal('INT');
+						result.rows.should.eql([[1, 'a'], [2, null]]);
+						return hpool.exec({sql: sql, layout: 'columns'});
+					})
+					.then(function(result) {
+						result.blocks.should.eql([{values: [[1, 2], ['a', null]]}]);
+					});
+			});
+
+			it('should keep the columns of the same name and render the dates /', function() {
+				var sql = 'SELECT 1 AS ID, \'a\' AS ID, TO_DATE(\'2016-06-30\') AS BIRTH FROM DUMMY';
+
+				return hpool.exec({sql: sql, layout: 'rows', dateFormat: 'DD.MM.YYYY'})
+					.then(function(result) {
+						_.pluck(result.columns, 'name').should.eql(['ID', 'ID', 'BIRTH']);
+						result.rows.should.eql([[1, 'a', '30.06.2016']]);
+					});
+			});
+
+			it('should reject invalid date options /', function() {
+				return hpool.exec({sql: 'SELECT 1 FROM DUMMY', layout: 'rows', timezone: 'Mars/Olympus'})
+					.then(function() {
+						throw new Error('should have been rejected');
+					}, function(err) {
+						err.code.should.equal('EHDBPOOLPARAMS');
+					});
+			});
+		});
+	});
+
+	describe('XLSX stringifier /', function() {
+		var metadata = [
+			{columnDisplayName: 'ID', dataType: 3},	// INT
+			{columnDisplayName: 'NAME', dataType: 11},	// NVARCHAR
+			{columnDisplayName: 'BIRTH', dataType: 63},	// DAYDATE
+			{columnDisplayName: 'ACTIVE', dataType: 28}	// BOOLEAN
+		];
+
+		// the workbook and the XML of its sheet
+		function stringify(options, rows, cb) {
+			var stringifier = hdbPool.createXlsxStringifier(options)(metadata),
+				chunks = [];
+
+			stringifier.on('data', function(chunk) {
+				chunks.push(chunk);
+			});
+			stringifier.on('end', function() {
+				var workbook = Buffer.concat(chunks),
+					name = 'xl/worksheets/sheet1.xml',
+					start = workbook.indexOf(name) + name.length;	// the local header has no extra field
+
+				cb(workbook, zlib.inflateRawSync(workbook.slice(start)).toString());
+			});
+			stringifier.end(rows);
+		}
+
+		it('should write typed cells and a bold header row /', function(done) {
+			stringify({sheetName: 'Users'}, [{ID: 1, NAME: 'a<b>&c', BIRTH: 736146, ACTIVE: true}, {ID: 2, NAME: null, BIRTH: null, ACTIVE: false}], function(workbook, sheet) {
+				workbook.readUInt32LE(0).should.equal(0x04034b50);	// ZIP local file header
+				workbook.readUInt32LE(workbook.length - 22).should.equal(0x06054b50);	// end of central directory
+
+				sheet.should.containEql('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">ID</t></is></c>');
+				sheet.should.containEql('<row r="2"><c r="A2"><v>1</v></c><c r="B2" t="inlineStr"><is><t xml:space="preserve">a&lt;b&gt;&amp;c</t></is></c>' +
+					'<c r="C2" s="2"><v>42551</v></c><c r="D2" t="b"><v>1</v></c></row>');	// 2016-06-30
+				sheet.should.containEql('<row r="3"><c r="A3"><v>2</v></c><c r="D3" t="b"><v>0</v></c></row>');	// NULLs are empty cells
+				done();
+			});
+		});
+
+		it('should reject an invalid sheet name /', function() {
+			(function() {
+				hdbPool.createXlsxStringifier(metadata, {sheetName: 'a/b'});
+			}).should.throw({code: 'EHDBPOOLPARAMS'});
+		});
+
+		it('should fail if the rows do not fit into the sheet /', function(done) {
+			this.timeout(30000);
+
+			var stringifier = hdbPool.createXlsxStringifier(metadata, {header: false}),
+				rows = _.times(1048576, _.constant({}));	// empty rows, the sheet is full
+
+			stringifier.on('data', function() {});
+			stringifier.on('error', function(err) {
+				err.code.should.equal('EHDBPOOLLIMIT');
+				done();
+			});
+			stringifier.write(rows);
+			stringifier.end({ID: 1});
+		});
+	});
+
+	describe('Arrow stringifier /', function() {
+		var metadata = [{columnDisplayName: 'ID', dataType: 3}, {columnDisplayName: 'NAME', dataType: 11}];
+
+		// messages of an IPC stream: [{headerType, bodyLength, body}], see the Message table of the Arrow format
+		function readMessages(buffer) {
+			var messages = [], pos = 0, length;
+
+			while ((length = buffer.readInt32LE(pos + 4)) > 0) {
+				var metadata = buffer.slice(pos + 8, pos + 8 + length),
+					table = metadata.readUInt32LE(0),
+					vtable = table - metadata.readInt32LE(table);
+
+				function field(id) {
+					return table + metadata.readUInt16LE(vtable + 4 + id * 2);
+				}
+
+				var bodyLength = Number(metadata.readBigInt64LE(field(3)));
+				messages.push({headerType: metadata.readUInt8(field(1)), bodyLength: bodyLength, body: buffer.slice(pos + 8 + length, pos + 8 + length + bodyLength)});
+				pos += 8 + length + bodyLength;
+			}
+
+			pos.should.equal(buffer.length - 8);	// end-of-stream marker
+			return messages;
+		}
+
+		it('should write the schema and record batches of batchSize rows /', function(done) {
+			var stringifier = hdbPool.createArrowStringifier({batchSize: 2})(metadata),
+				chunks = [];
+
+			stringifier.on('data', function(chunk) {
+				chunks.push(chunk);
+			});
+			stringifier.on('end', function() {
+				var messages = readMessages(Buffer.concat(chunks));
+				_.pluck(messages, 'headerType').should.eql([1, 3, 3]);	// Schema, RecordBatch, RecordBatch
+
+				// first batch: no validity bitmap of ID, the int32 values, the validity bitmap, the offsets and the data of NAME
+				var body = messages[1].body;
+				body.readInt32LE(0).should.equal(1);
+				body.readInt32LE(4).should.equal(2);
+				body[8].should.equal(1);	// NAME of the second row is null
+				body.readInt32LE(20).should.equal(3);	// end offset of 'abc'
+				body.toString('utf8', 32, 35).should.equal('abc');
+				done();
+			});
+			stringifier.write([{ID: 1, NAME: 'abc'}, {ID: 2, NAME: null}]);
+			stringifier.end([{ID: 3, NAME: 'd'}]);
+		});
+
+		it('should reject an invalid batch size /', function() {
+			(function() {
+				hdbPool.createArrowStringifier(metadata, {batchSize: 0});
+			}).should.throw({code: 'EHDBPOOLPARAMS'});
+		});
+	});
+
+	describe('XML stringifier /', function() {
+		var metadata = [
+			{columnDisplayName: 'ID', dataType: 3},	// INT
+			{columnDisplayName: 'UNIT PRICE', dataType: 5, fraction: 2},	// DECIMAL
+			{columnDisplayName: 'BIRTH', dataType: 63},	// DAYDATE
+			{columnDisplayName: 'ACTIVE', dataType: 28}	// BOOLEAN
+		];
+
+		function stringify(factory, rows, cb) {
+			var stringifier = factory(metadata),
+				xml = '';
+
+			stringifier.on('data', function(chunk) {
+				xml += chunk;
+			});
+			stringifier.on('end', function() {
+				cb(xml);
+			});
+			stringifier.end(rows);
+		}
+
+		it('should write escaped values, encoded column names and nil elements /', function(done) {
+			stringify(hdbPool.createXmlStringifier({rowElement: 'user'}), [{ID: 1, 'UNIT PRICE': '1.50', BIRTH: 736146, ACTIVE: true}, {ID: 2, 'UNIT PRICE': null, BIRTH: null, ACTIVE: false}], function(xml) {
+				xml.should.equal('<?xml version="1.0" encoding="UTF-8"?>\n' +
+					'<rows xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">\n' +
+					'<user><ID>1</ID><UNIT_x0020_PRICE>1.50</UNIT_x0020_PRICE><BIRTH>2016-06-30</BIRTH><ACTIVE>true</ACTIVE></user>\n' +
+					'<user><ID>2</ID><UNIT_x0020_PRICE xsi:nil="true"/><BIRTH xsi:nil="true"/><ACTIVE>false</ACTIVE></user>\n' +
+					'</rows>\n');
+				done();
+			});
+		});
+
+		it('should encode the column names which are not XML names /', function(done) {
+			var stringifier = hdbPool.createXmlStringifier({})([{columnDisplayName: '1ST', dataType: 11}, {columnDisplayName: 'a:b', dataType: 11}, {columnDisplayName: '_x0041_', dataType: 11}]),
+				xml = '';
+
+			stringifier.on('data', function(chunk) {
+				xml += chunk;
+			});
+			stringifier.on('end', function() {
+				xml.should.containEql('<row><_x0031_ST>a&lt;b&gt;&amp;&quot;c&quot;</_x0031_ST><a_x003A_b>x</a_x003A_b><_x005F_x0041_>y</_x005F_x0041_></row>');	// control characters dropped
+				done();
+			});
+			stringifier.end([{'1ST': 'a\u0001<b>&"c"', 'a:b': 'x', '_x0041_': 'y'}]);
+		});
+
+		it('should reject an invalid element name /', function() {
+			(function() {
+				hdbPool.createXmlStringifier(metadata, {rootElement: 'my rows'});
+			}).should.throw({code: 'EHDBPOOLPARAMS'});
+		});
+
+		it('should write a SpreadsheetML workbook /', function(done) {
+			stringify(hdbPool.createSpreadsheetMLStringifier({sheetName: 'Users'}), [{ID: 1, 'UNIT PRICE': '1.50', BIRTH: 736146, ACTIVE: true}, {ID: 2, 'UNIT PRICE': null, BIRTH: 300000, ACTIVE: false}], function(workbook) {
+				workbook.should.startWith('<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n');
+				workbook.should.containEql('<Worksheet ss:Name="Users"><Table>');
+				workbook.should.containEql('<Cell ss:StyleID="header"><Data ss:Type="String">UNIT PRICE</Data></Cell>');
+				workbook.should.containEql('<Row><Cell><Data ss:Type="Number">1</Data></Cell><Cell><Data ss:Type="Number">1.50</Data></Cell>' +
+					'<Cell ss:StyleID="date"><Data ss:Type="DateTime">2016-06-30T00:00:00.000</Data></Cell><Cell><Data ss:Type="Boolean">1</Data></Cell></Row>');
+				workbook.should.containEql('<Row><Cell><Data ss:Type="Number">2</Data></Cell><Cell/>' +
+					'<Cell><Data ss:Type="String">0822-05-11</Data></Cell><Cell><Data ss:Type="Boolean">0</Data></Cell></Row>');	// before 1900-03-01 as text
+				workbook.should.endWith('</Table></Worksheet></Workbook>\n');
+				done();
+			});
+		});
+	});
+
 });
 
 